@@ -1,5 +1,9 @@
 #!/usr/bin/env node
-import { run } from './src/index.js'
+import { DocusaurusPdfExporter, findConfigFile, loadConfigFile, resolveConfig } from './src/index.js'
+import { isDirectory } from './src/utils/fileSystem.js'
+import { configureLogging, error, info, warn, setLogFormat, setLogLevel, withLogContext } from './src/utils/logger.js'
+import { ConfigError } from './src/utils/errors.js'
+import { RunManifest } from './src/services/RunManifest.js'
 import cac from "cac";
 import path from 'path';
 import fs from 'fs';
@@ -8,27 +12,149 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, "package.json"), "utf8"));
 
+// Exit codes, so that pipelines can tell failures apart
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1, // invalid arguments or configuration, browser failure, ...
+  CONNECTION: 2, // the site could not be reached or served
+  NO_PAGES: 3, // no pages were found to export
+  PARTIAL: 4, // some pages failed (or, with --strict, were skipped)
+  MERGE: 5, // the pages could not be merged into a PDF
+  FAILED: 6, // every page failed, nothing was written
+  ABORTED: 130, // interrupted with Ctrl+C
+};
+
+/**
+ * Map an export error to an exit code
+ * @param {Error} err - Error thrown by the export
+ * @returns {number} Exit code
+ */
+function getExitCode(err) {
+  switch (err.name) {
+    case "ConnectionError":
+    case "StaticServerError":
+      return EXIT_CODES.CONNECTION;
+    case "LinkCollectionError":
+    case "SidebarError":
+      return EXIT_CODES.NO_PAGES;
+    case "PdfExportError":
+      return EXIT_CODES.PARTIAL;
+    case "AllPagesFailedError":
+      return EXIT_CODES.FAILED;
+    case "PdfMergeError":
+      return EXIT_CODES.MERGE;
+    case "ExportAbortedError":
+      return EXIT_CODES.ABORTED;
+    default:
+      return EXIT_CODES.ERROR;
+  }
+}
+
+/**
+ * List the PDF files written by an export
+ * @param {string|Array|object} result - Result of DocusaurusPdfExporter.export()
+ * @returns {string[]} Paths of the written files
+ */
+function listOutputFiles(result) {
+  if (!result) return [];
+  if (typeof result === "string") return [result];
+  if (Array.isArray(result)) return result.flatMap(listOutputFiles);
+  return [result.path, ...(result.books || []).map((book) => book.path)].filter(Boolean);
+}
+
 const cli = cac("docexport");
 
 cli
-  .command("<url>", "Export document from URL") // <url> = 必填
+  .command("<url>", "Export document from URL or local build directory") // <url> = 必填
+  .option("--config <file>", "Config file (default: docexport.config.js, .mjs or .json in the current directory)")
   .option("-o, --output <filename>", "Output filename (default: ./output.pdf)")
+  .option("-f, --format <format>", "Output format: pdf, pdf-pages (a folder of page PDFs), html or epub (default: pdf)")
   .option("-v, --doc-version <version>", "Document version to include in filename")
+  .option("--author <name>", "Author in the PDF properties (default: <meta name=\"author\">)")
+  .option("--subject <text>", "Subject in the PDF properties (default: the og:description of the start page)")
+  .option("--keywords <list>", "Comma-separated keywords in the PDF properties (default: <meta name=\"keywords\">)")
+  .option("--language <code>", "Document language, e.g. en or fr-FR (default: <html lang>)")
   .option("--no-clean", "Do not clean temporary files")
-  .action((url, options) => {
+  .option("--cover", "Add a cover page (title, version, date and logo)")
+  .option("--toc", "Add a table of contents with page numbers")
+  .option("--title <title>", "Title on the cover page (default: site title)")
+  .option("--logo <image>", "Logo on the cover page, path or URL (default: navbar logo)")
+  .option("--cover-template <file>", "Custom HTML template for the cover page")
+  .option("--toc-template <file>", "Custom HTML template for the table of contents")
+  .option("--discovery <strategy>", "Page discovery: sidebar, sitemap, url-list or crawl (default: sidebar)")
+  .option("--sitemap <url>", "Sitemap URL for the sitemap strategy")
+  .option("--url-file <file>", "File with one URL per line (implies --discovery url-list)")
+  .option("--path-prefix <prefix>", "Only export pages under this path (sitemap and crawl)")
+  .option("--max-pages <count>", "Maximum number of pages to crawl")
+  .option("--include <pattern>", "Only export pages whose path matches a glob, or a regex prefixed with re: (repeatable)")
+  .option("--exclude <pattern>", "Skip pages whose path matches a glob, or a regex prefixed with re: (repeatable)")
+  .option("--include-category <pattern>", "Only export pages under a matching sidebar category (repeatable)")
+  .option("--exclude-category <pattern>", "Skip pages under a matching sidebar category (repeatable)")
+  .option("--include-tag <pattern>", "Only export pages with a matching front-matter tag (repeatable)")
+  .option("--exclude-tag <pattern>", "Skip pages with a matching front-matter tag (repeatable)")
+  .option("--dry-run", "List the pages that would be exported without exporting them")
+  .option("--versions <list>", "Export these versions (comma-separated labels) or \"all\" from the version dropdown")
+  .option("--locales <list>", "Export these locales (comma-separated codes) or \"all\" from the locale dropdown")
+  .option("--variant-index <file>", "Write a JSON index of the exported versions/locales, relative to the output directory")
+  .option("--books <entries>", "Export each sidebar as its own PDF: \"navbar\" or comma-separated entry URLs")
+  .option("--combined", "With --books, also write every book to the output file, one section per book")
+  .option("--cache", "Reuse pages whose content did not change since the previous run")
+  .option("--cache-dir <dir>", "Cache directory (implies --cache, default: .docexport-cache)")
+  .option("--report <file>", "Write a JSON report of exported, skipped and failed pages")
+  .option("--junit <file>", "Write the report as JUnit XML, for CI")
+  .option("--retries <count>", "Retries of a failing page, with an exponential backoff (default: 2)")
+  .option("--resume", "Continue the previous run, if it failed, from its last exported page")
+  .option("--strict", "Fail if any page is skipped (other than by filters) or fails")
+  .option("--base-url <path>", "baseUrl of a local build (default: detected from index.html)")
+  .option("--trailing-slash <mode>", "trailingSlash of a local build: true or false (default: accept both)")
+  .option("--start-path <path>", "Page of a local build to start from, relative to baseUrl")
+  .option("--header-footer", "Stamp headers, footers and page numbers on every page")
+  .option("--header <template>", "Header text, e.g. \"{{title}} - {{section}}\" (implies --header-footer)")
+  .option("--footer <template>", "Footer text, e.g. \"Page {{page}} of {{pages}}\" (implies --header-footer)")
+  .option("--layout <layout>", "Page layout: continuous (one tall page per doc) or paginated (default: continuous)")
+  .option("--paper <format>", "Paper size for the paginated layout: A3, A4, A5, Letter, Legal, Tabloid (default: A4)")
+  .option("--landscape", "Landscape orientation for the paginated layout")
+  .option("--css <file>", "Stylesheet added to every page before printing (repeatable)")
+  .option("--script <file>", "Script run in every page before printing (repeatable)")
+  .option("-c, --concurrency <count>", "Number of pages rendered in parallel (default: 1)")
+  .option("--headed", "Show the browser window (for debugging)")
+  .option("--executable-path <path>", "Chrome/Chromium executable to use instead of the bundled one")
+  .option("--browser-arg <arg>", "Extra Chromium command-line switch (repeatable)")
+  .option("--proxy <server>", "Proxy server, e.g. http://proxy:3128")
+  .option("--auth-user <user>", "HTTP basic auth user; the password is read from $DOCEXPORT_PASSWORD")
+  .option("--http-header <header>", "Extra request header, e.g. \"Authorization: env:DOCS_TOKEN\" (repeatable)")
+  .option("--cookies <file>", "Cookie file: JSON (Playwright or storage state) or Netscape cookies.txt")
+  .option("--storage-state <file>", "Playwright storage state file (cookies and local storage)")
+  .option("--locale <locale>", "Browser locale, e.g. fr-FR")
+  .option("--timezone <timezone>", "Browser timezone, e.g. Europe/Paris")
+  .option("--verbose", "Log debug messages (same as --log-level debug)")
+  .option("--quiet", "Only log warnings and errors (same as --log-level warn)")
+  .option("--log-level <level>", "Log level: debug, info, warn or error (default: info)")
+  .option("--log-format <format>", "Log format: text, or json for one JSON object per line (default: text)")
+  .action(async (url, options) => {
+    const logLevel = options.logLevel
+      ? String(options.logLevel)
+      : options.verbose ? "debug" : options.quiet ? "warn" : null;
+    // Applied before the config is loaded, so that argument errors use the same format
+    if (logLevel) setLogLevel(logLevel);
+    if (options.logFormat) setLogFormat(String(options.logFormat));
+
     if (!url) {
-      console.error("❌ Missing required argument <url>");
+      error("Missing required argument <url>");
       process.exit(1);
     }
 
-    try {
-      const parsedUrl = new URL(url);
-      if (!["http:", "https:"].includes(parsedUrl.protocol)) {
-        throw new Error("Invalid protocol");
+    // A directory (e.g. ./build) is served locally instead of fetched
+    if (!isDirectory(url)) {
+      try {
+        const parsedUrl = new URL(url);
+        if (!["http:", "https:"].includes(parsedUrl.protocol)) {
+          throw new Error("Invalid protocol");
+        }
+      } catch (err) {
+        error("Invalid URL or build directory:", url);
+        process.exit(1);
       }
-    } catch (err) {
-      console.error("❌ Invalid URL:", url);
-      process.exit(1);
     }
 
     let output = options.output || "./output.pdf";
@@ -48,12 +174,205 @@ cli
     
     const finalFilename = `${filenameParts.join('-')}${ext}`;
     output = path.join(dir, finalFilename);
+    // Output path without its date, to find the files of a run started on another day
+    const withoutDate = (file) => file.replace(/-\d{8}(?=\.[^./\\]*$|$)/, '');
     
-    fs.mkdirSync(dir, { recursive: true });
+    if (!options.dryRun) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Only options given on the command line override the config file
+    const overrides = {};
+    const set = (keyPath, value) => {
+      const keys = keyPath.split(".");
+      const last = keys.pop();
+      let target = overrides;
+      for (const key of keys) {
+        target = target[key] ??= {};
+      }
+      target[last] = value;
+    };
+    // Counts must be whole numbers, "abc" or 0 would silently disable the option
+    const integer = (flag, value, minimum) => {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < minimum) {
+        const err = new ConfigError(`Invalid ${flag} "${value}": expected an integer of at least ${minimum}`);
+        error(err.message);
+        process.exit(getExitCode(err));
+      }
+      return number;
+    };
+
+    if (options.format) set("output.format", String(options.format));
+    if (options.docVersion) set("docVersion", String(options.docVersion));
+    if (options.author) set("metadata.author", String(options.author));
+    if (options.subject) set("metadata.subject", String(options.subject));
+    if (options.keywords) {
+      set("metadata.keywords", String(options.keywords).split(",").map((keyword) => keyword.trim()).filter(Boolean));
+    }
+    if (options.language) set("metadata.language", String(options.language));
+    if (options.clean === false) set("cleanup.cleanTempFiles", false);
+    if (options.concurrency !== undefined) set("concurrency", integer("--concurrency", options.concurrency, 1));
+
+    if (options.discovery) set("discovery.strategy", options.discovery);
+    else if (options.urlFile) set("discovery.strategy", "url-list");
+    if (options.sitemap) set("discovery.sitemapUrl", options.sitemap);
+    if (options.urlFile) set("discovery.urlFile", options.urlFile);
+    if (options.pathPrefix) set("discovery.pathPrefix", String(options.pathPrefix));
+    if (options.maxPages !== undefined) set("discovery.maxPages", integer("--max-pages", options.maxPages, 1));
+
+    const patterns = (value) => [].concat(value).map(String);
+    if (options.include) set("filters.include.paths", patterns(options.include));
+    if (options.exclude) set("filters.exclude.paths", patterns(options.exclude));
+    if (options.includeCategory) set("filters.include.categories", patterns(options.includeCategory));
+    if (options.excludeCategory) set("filters.exclude.categories", patterns(options.excludeCategory));
+    if (options.includeTag) set("filters.include.tags", patterns(options.includeTag));
+    if (options.excludeTag) set("filters.exclude.tags", patterns(options.excludeTag));
+    if (options.dryRun) set("dryRun", true);
+
+    const listOption = (value) =>
+      String(value) === "all" ? "all" : String(value).split(",").map((entry) => entry.trim()).filter(Boolean);
+    if (options.versions) set("variants.versions", listOption(options.versions));
+    if (options.locales) set("variants.locales", listOption(options.locales));
+    if (options.variantIndex) set("variants.indexFile", String(options.variantIndex));
+
+    if (options.books) {
+      set("books.entries", String(options.books) === "navbar" ? "navbar" : listOption(options.books));
+    }
+    if (options.combined) set("books.combined", true);
+
+    if (options.cache || options.cacheDir) set("cache.enabled", true);
+    if (options.cacheDir) set("cache.dir", String(options.cacheDir));
+
+    if (options.css) set("inject.css", patterns(options.css));
+    if (options.script) set("inject.scripts", patterns(options.script));
+
+    if (options.retries !== undefined) set("retry.maxAttempts", integer("--retries", options.retries, 0) + 1);
+    if (options.resume) set("resume.enabled", true);
+    if (options.strict) set("strict", true);
+    if (options.report) set("report.json", String(options.report));
+    if (options.junit) set("report.junit", String(options.junit));
 
-    run(url, output, options.clean !== false)
+    if (logLevel) set("logging.level", logLevel);
+    if (options.logFormat) set("logging.format", String(options.logFormat));
 
-    console.log("Exported to:", output);
+    if (options.baseUrl) set("server.baseUrl", String(options.baseUrl));
+    if (options.trailingSlash !== undefined) {
+      set("server.trailingSlash", String(options.trailingSlash) === "true");
+    }
+    if (options.startPath) set("server.startPath", String(options.startPath));
+
+    if (options.headed) set("browser.headless", false);
+    if (options.executablePath) set("browser.executablePath", options.executablePath);
+    if (options.browserArg) set("browser.args", [].concat(options.browserArg).map(String));
+    if (options.proxy) set("browser.proxy", options.proxy);
+    if (options.authUser) set("auth.username", String(options.authUser));
+    if (options.httpHeader) {
+      const headers = {};
+      for (const header of patterns(options.httpHeader)) {
+        const separator = header.indexOf(":");
+        if (separator <= 0) {
+          error('Invalid --http-header, expected "Name: value":', header);
+          process.exit(1);
+        }
+        headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+      }
+      set("auth.headers", headers);
+    }
+    if (options.cookies) set("auth.cookies", String(options.cookies));
+    if (options.storageState) set("auth.storageState", String(options.storageState));
+    if (options.locale) set("browser.locale", options.locale);
+    if (options.timezone) set("browser.timezoneId", options.timezone);
+
+    if (options.layout) set("pdf.layout", options.layout);
+    else if (options.paper || options.landscape) set("pdf.layout", "paginated");
+    if (options.paper) set("pdf.paper.format", options.paper);
+    if (options.landscape) set("pdf.paper.landscape", true);
+
+    if (options.cover) set("cover.enabled", true);
+    if (options.title) set("cover.title", String(options.title));
+    if (options.logo) set("cover.logo", options.logo);
+    if (options.coverTemplate) set("cover.template", options.coverTemplate);
+
+    if (options.toc) set("toc.enabled", true);
+    if (options.tocTemplate) set("toc.template", options.tocTemplate);
+
+    if (options.headerFooter || options.header || options.footer) set("headerFooter.enabled", true);
+    if (options.header) set("headerFooter.header", { left: "", center: String(options.header), right: "" });
+    if (options.footer) set("headerFooter.footer", { left: "", center: String(options.footer), right: "" });
+
+    let exporter;
+    let result;
+    // Ctrl+C closes the browser and keeps the progress for --resume
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    process.once("SIGINT", abort);
+    try {
+      const configFile = options.config || findConfigFile(process.cwd());
+      const fileConfig = configFile ? await loadConfigFile(configFile) : {};
+      exporter = new DocusaurusPdfExporter(resolveConfig(fileConfig, overrides));
+      // The messages logged outside the export, like the dry-run listing, use the options of the config file too
+      configureLogging(exporter.config.logging);
+      // A run started on another day is resumed under the date it started with
+      if (exporter.config.resume.enabled) {
+        const previousOutput = new RunManifest(exporter.config).readOutputPath();
+        if (previousOutput && withoutDate(previousOutput) === withoutDate(output)) {
+          output = previousOutput;
+        }
+      }
+      result = await exporter.export(url, output, { signal: controller.signal });
+    } catch (err) {
+      error(err.message);
+      process.exitCode = getExitCode(err);
+      return;
+    } finally {
+      process.off("SIGINT", abort);
+    }
+
+    if (exporter.config.dryRun) {
+      const printPages = (pages) => {
+        for (const page of pages) {
+          const labels = [...(page.categories || []), page.title].filter(Boolean).join(" > ");
+          // Logged, so that JSON logs and custom loggers get the listing as records with the page fields
+          withLogContext({ url: page.url, title: page.title, categories: page.categories || [] }, () =>
+            info(`${page.url}  ${labels}`)
+          );
+        }
+      };
+      // Variants and books list the pages of each part
+      const printSection = (title, section) => {
+        if (section.books) {
+          for (const book of section.books) {
+            printSection([title, book.title || book.name].filter(Boolean).join(" / "), book);
+          }
+          return;
+        }
+        info(`\n# ${title}`);
+        printPages(section.pages || []);
+      };
+      if (!Array.isArray(result)) {
+        printSection("", result);
+      } else if (exporter.config.variants.versions || exporter.config.variants.locales) {
+        for (const variant of result) {
+          printSection([variant.versionLabel, variant.locale].filter(Boolean).join(" / "), variant);
+        }
+      } else {
+        printPages(result);
+      }
+      return;
+    }
+
+    for (const file of listOutputFiles(result)) {
+      info("Exported to:", file);
+    }
+
+    // The PDF was written, but without some pages
+    const { summary, documents } = exporter.report.toJSON();
+    const failedDocuments = documents.filter((document) => document.error).length;
+    if (summary.failed > 0 || failedDocuments > 0) {
+      warn(`Incomplete export: ${summary.failed} page(s) and ${failedDocuments} document(s) failed`);
+      process.exitCode = EXIT_CODES.PARTIAL;
+    }
   });
 
 cli.help();
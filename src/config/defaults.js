@@ -9,8 +9,13 @@ export const defaultConfig = {
     animation: 800,
     scroll: 2000,
     networkIdle: 5000,
+    pageExport: 120000, // upper bound for rendering a single page
+    readiness: 15000, // upper bound for waiting for lazy content, see readiness
   },
+  concurrency: 1, // number of pages rendered in parallel
   pdf: {
+    layout: "continuous", // "continuous" (one tall page per doc) or "paginated"
+    // Continuous layout
     width: "800px",
     margins: {
       top: "40px",
@@ -18,15 +23,46 @@ export const defaultConfig = {
       right: "40px",
       bottom: "0",
     },
+    // Paginated layout
+    paper: {
+      format: "A4", // A3, A4, A5, Letter, Legal, Tabloid
+      landscape: false,
+      margins: {
+        top: "20mm",
+        left: "15mm",
+        right: "15mm",
+        bottom: "20mm",
+      },
+    },
     printBackground: true,
     tagged: true,
     preferCSSPageSize: true,
   },
+  browser: {
+    headless: true,
+    executablePath: null, // use a system Chrome/Chromium instead of the bundled one
+    args: [], // extra Chromium command-line switches
+    proxy: null, // "http://host:port" or { server, bypass, username, password }
+    locale: null, // e.g. "fr-FR"
+    timezoneId: null, // e.g. "Europe/Paris"
+  },
+  auth: {
+    // Secrets can be written as "env:NAME" to read them from an environment variable
+    username: null, // HTTP basic auth, defaults to $DOCEXPORT_USERNAME
+    password: null, // defaults to $DOCEXPORT_PASSWORD
+    headers: null, // extra request headers sent to the site only, e.g. { Authorization: "env:DOCS_TOKEN" }
+    cookies: null, // JSON or Netscape cookies.txt file
+    storageState: null, // Playwright storage state file (cookies and local storage)
+  },
   viewport: {
     width: 1260, // 720 / 0.75 + 300
     height: 400,
   },
   selectors: {
+    site: {
+      title: ".navbar__title",
+      logo: ".navbar__logo img",
+    },
     sidebar: {
       level1: ".theme-doc-sidebar-item-category-level-1 > .menu__list-item-collapsible",
       collapsible: ".menu__list-item-collapsible",
@@ -34,16 +70,121 @@ export const defaultConfig = {
       link: "a.menu__link:not([class*=menuExternalLink])",
       button: "button",
       menuLink: ".menu__link",
+      category: ".theme-doc-sidebar-item-category",
+      categoryLabel: ".menu__list-item-collapsible > .menu__link",
     },
     content: {
       skipToContent: "#__docusaurus_skipToContent_fallback",
       docCardListItem: "article > section.row > article[class*=docCardListItem]",
       pageContent: "article > section.row > *",
+      hashLink: "a.hash-link",
+      tags: ".theme-doc-footer-tags-row a",
+      markdown: ".theme-doc-markdown", // content of the HTML and EPUB outputs
+    },
+    variants: {
+      dropdown: ".navbar__item.dropdown",
+      toggle: ".navbar__link",
+      item: ".dropdown__menu > li",
+      link: ".dropdown__link",
+      activeLink: ".dropdown__link--active",
+      divider: ".dropdown__divider", // items after a divider are not versions
+    },
+    expand: {
+      tabs: ".tabs-container",
+      tab: "[role=tab]",
+      tabList: "[role=tablist]",
+      tabPanel: "[role=tabpanel]",
+      details: "details",
+      codeBlock: ".theme-code-block pre, .theme-code-block [class*=codeBlockContent_]",
+    },
+    readiness: {
+      // Elements still being rendered client-side
+      pending: [
+        ".docusaurus-mermaid-container:not(:has(svg))",
+        ".mermaid:not([data-processed])",
+      ].join(", "),
+      // Result panes of live code blocks (@docusaurus/theme-live-codeblock)
+      livePreview: "[class*=playgroundPreview_]",
+    },
+    books: {
+      navbarLink: ".navbar__items a.navbar__item.navbar__link[href]",
+      sidebar: ".theme-doc-sidebar-menu",
+      link: "a.menu__link",
     },
   },
+  discovery: {
+    strategy: "sidebar", // "sidebar" | "sitemap" | "url-list" | "crawl" or a custom function
+    sitemapUrl: null, // defaults to the closest sitemap.xml above the start URL
+    urlFile: null, // file with one URL per line, for "url-list"
+    pathPrefix: null, // defaults to the directory of the start URL
+    maxPages: 500, // upper bound for "crawl"
+    sidebarOrder: true, // reorder discovered pages like the sidebar when there is one
+  },
+  filters: {
+    // Globs ("/docs/api/**", "Admin*"), "re:" prefixed regexes or RegExp objects.
+    // Paths match the URL path, categories any enclosing sidebar category label
+    // and tags the front-matter tags shown at the bottom of the page.
+    include: { paths: [], categories: [], tags: [] },
+    exclude: { paths: [], categories: [], tags: [] },
+  },
+  dryRun: false, // list the selected pages instead of exporting them
+  output: {
+    // "pdf" = one merged PDF, "pdf-pages" = a folder of per-page PDFs with an
+    // index.html, "html" = one self-contained HTML file, "epub" = an EPUB 3 book
+    format: "pdf",
+  },
+  variants: {
+    // null = the start URL only, "all" = every entry of the navbar dropdown,
+    // or a list of version labels / locale codes, or of { name, url } entries
+    versions: null,
+    locales: null,
+    // Placeholders: {{name}} and {{ext}} of the output path, {{version}}, {{locale}}
+    fileName: "{{name}}-{{version}}-{{locale}}{{ext}}",
+    indexFile: null, // e.g. "index.json", written next to the PDFs
+  },
+  books: {
+    // null = the sidebar of the start URL, "navbar" = every sidebar linked from
+    // the navbar, or a list of entry URLs / { title, url } entries
+    entries: null,
+    // Placeholders: {{name}} and {{ext}} of the output path, {{book}}
+    fileName: "{{name}}-{{book}}{{ext}}",
+    combined: false, // also write every book to the output path, one top-level section each
+  },
+  inject: {
+    // Added to every page before printing, e.g. to hide banners or cookie consents
+    css: [], // stylesheet files
+    scripts: [], // script files, run in the page; a returned promise is awaited
+  },
+  hooks: {
+    // Async functions called with the Playwright page and metadata, see the readme
+    beforePage: null, // (page, { url, categories, tags, outputPath, cached, config }) before printing a page
+    afterPage: null, // (page, { url, path, title, headings, links, tags, categories, cached, config }) after printing it
+    beforeMerge: null, // (page, { pages, outputPath, config }) before merging; may return the pages to merge
+  },
+  expand: {
+    // Print the content hidden behind interactive widgets
+    details: true, // open every <details> block
+    tabs: true, // show every tab panel one after another, under its label
+    codeBlocks: true, // show the full height of scrollable or collapsed code blocks
+  },
+  readiness: {
+    // Wait for lazy content before printing each page, within timeouts.readiness
+    enabled: true,
+    scroll: true, // scroll through the page to load lazy images and components
+    scrollDelay: 100, // pause after each scroll step, in ms
+    settleTime: 300, // the page must not change for this long, in ms
+    hooks: [], // async (page, { url, config }) => {} functions, run after the built-in checks
+  },
   retry: {
-    maxAttempts: 3,
-    strategies: ["click", "forceClick", "javascriptClick"],
+    maxAttempts: 3, // attempts per page, including the first one
+    backoff: 1000, // delay before the first retry of a page, in ms
+    backoffFactor: 2, // the delay is multiplied by this for each further retry
+    maxBackoff: 30000, // upper bound for the delay, in ms
+    strategies: ["click", "forceClick", "javascriptClick"], // for sidebar items
+  },
+  resume: {
+    enabled: false, // continue the run recorded in the manifest instead of starting over
+    manifest: ".docexport-run.json", // progress of the current run, kept when it fails
   },
   styles: {
     columnFix: `
@@ -54,6 +195,82 @@ export const defaultConfig = {
          white-space: pre-wrap !important;
       }
     `,
+    // Print rules for the paginated layout
+    paginated: `
+      pre, table, figure, img, blockquote,
+      .theme-admonition, .admonition, [class*="codeBlockContainer_"] {
+        break-inside: avoid;
+      }
+      h1, h2, h3, h4, h5, h6 {
+        break-after: avoid;
+      }
+    `,
+  },
+  docVersion: null, // shown on the cover page, and stored in the PDF properties and XMP metadata
+  metadata: {
+    // PDF document properties; unset values are read from the start page
+    title: null, // defaults to the cover title, then the site title
+    author: null, // defaults to <meta name="author">
+    subject: null, // defaults to the og:description (or description) meta tag
+    keywords: [], // defaults to <meta name="keywords">
+    language: null, // defaults to <html lang>, e.g. "en" or "fr-FR"
+  },
+  cover: {
+    enabled: false,
+    title: null, // defaults to the site title
+    subtitle: null,
+    logo: null, // image path or URL, defaults to the navbar logo
+    template: null, // custom HTML template, see src/templates/cover.html
+  },
+  toc: {
+    enabled: false,
+    title: "Contents",
+    maxHeadingLevel: 2, // pages and their h2 headings
+    template: null, // custom HTML template, see src/templates/toc.html
+  },
+  headerFooter: {
+    enabled: false,
+    // Placeholders: {{title}}, {{section}}, {{pageTitle}}, {{version}}, {{date}}, {{page}}, {{pages}}
+    header: { left: "{{title}}", center: "", right: "{{section}}" },
+    footer: { left: "{{version}}", center: "", right: "Page {{page}} of {{pages}}" },
+    fontSize: 8,
+    color: "#606770",
+    offset: 14, // minimum distance from the page edge, in points
+    stampFrontMatter: false, // cover and TOC pages are counted but not stamped
+  },
+  outline: {
+    enabled: true,
+    maxHeadingLevel: 6,
+    openDepth: 1, // sidebar category levels expanded when the PDF is opened
+  },
+  links: {
+    rewriteInternal: true, // turn links between exported pages into PDF cross-references
+  },
+  server: {
+    // Used when exporting from a local build/ directory instead of a URL
+    host: "127.0.0.1",
+    port: 0, // 0 = pick a free port
+    baseUrl: null, // defaults to the baseUrl detected from build/index.html
+    trailingSlash: null, // true / false like docusaurus.config.js, null = accept both
+    startPath: "", // page to start from, relative to baseUrl (e.g. "docs/intro")
+  },
+  strict: false, // fail the export if any page is skipped (other than by filters) or fails
+  report: {
+    json: null, // path of a JSON report of exported, skipped and failed pages
+    junit: null, // path of the same report as JUnit XML, for CI
+  },
+  logging: {
+    level: "info", // "debug", "info", "warn" or "error"
+    format: "text", // "text", or "json" for one JSON object per line with the page URL and phase
+    logger: null, // logger ({debug, info, warn, error}) receiving the logs instead of the console
+    loggerStyle: "pino", // "pino" calls logger.info(fields, message), "winston" logger.info(message, fields)
+  },
+  cache: {
+    enabled: false, // reuse pages whose content and rendering options did not change
+    dir: ".docexport-cache",
+    // Pruned after each export; entries used by the export are always kept
+    maxAge: 30, // days since an entry was last used, 0 = no limit
+    maxEntries: 2000, // most recently used entries to keep, 0 = no limit
   },
   cleanup: {
     cleanTempFiles: true,
@@ -0,0 +1,285 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { defaultConfig } from "./defaults.js";
+import { ConfigError } from "../utils/errors.js";
+import { OUTPUT_FORMATS } from "../utils/outputFormat.js";
+import {
+  LOG_FORMATS,
+  LOG_LEVEL_NAMES,
+  LOGGER_STYLES,
+} from "../utils/logger.js";
+
+/**
+ * Config file names looked up in the working directory, in order
+ */
+export const CONFIG_FILE_NAMES = [
+  "docexport.config.js",
+  "docexport.config.mjs",
+  "docexport.config.json",
+];
+
+/**
+ * Accepted types for options whose default does not tell (null defaults,
+ * options taking several forms). Other options must match their default's type.
+ */
+const OPTION_TYPES = {
+  "discovery.strategy": ["string", "function"],
+  "browser.proxy": ["string", "object"],
+  "auth.headers": ["object"],
+  "logging.logger": ["object"],
+  "server.trailingSlash": ["boolean"],
+  "variants.versions": ["string", "array"],
+  "variants.locales": ["string", "array"],
+  "books.entries": ["string", "array"],
+  "hooks.beforePage": ["function"],
+  "hooks.afterPage": ["function"],
+  "hooks.beforeMerge": ["function"],
+};
+
+/**
+ * Accepted values for enumerated options
+ */
+const OPTION_VALUES = {
+  "pdf.layout": ["continuous", "paginated"],
+  "output.format": OUTPUT_FORMATS,
+  "logging.level": LOG_LEVEL_NAMES,
+  "logging.format": LOG_FORMATS,
+  "logging.loggerStyle": LOGGER_STYLES,
+  "discovery.strategy": ["sidebar", "sitemap", "url-list", "crawl"],
+  "variants.versions": ["all"],
+  "variants.locales": ["all"],
+  "books.entries": ["navbar"],
+};
+
+/**
+ * Integer options and their smallest accepted value
+ */
+const INTEGER_OPTIONS = {
+  concurrency: 1,
+  "discovery.maxPages": 1,
+  "cache.maxEntries": 0,
+  "retry.maxAttempts": 1,
+};
+
+/**
+ * List options that must name at least one entry when they are set
+ */
+const NON_EMPTY_OPTIONS = [
+  "variants.versions",
+  "variants.locales",
+  "books.entries",
+];
+
+/**
+ * Describe the type of a value for validation messages
+ * @param {*} value - Value to describe
+ * @returns {string} "null", "array", "object", "string", ...
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Check for a plain object (not an array, function or class instance)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return (
+    typeOf(value) === "object" &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(value))
+  );
+}
+
+/**
+ * Accepted types of an option
+ * @param {string} keyPath - Dotted path of the option
+ * @param {*} expected - Default value of the option
+ * @returns {string[]} Accepted types
+ */
+function getAllowedTypes(keyPath, expected) {
+  if (OPTION_TYPES[keyPath]) {
+    return OPTION_TYPES[keyPath];
+  }
+  if (expected === null) {
+    return ["string"];
+  }
+  // Margins accept CSS lengths ("20mm") or pixels (20)
+  if (/\.margins\.\w+$/.test(keyPath)) {
+    return ["string", "number"];
+  }
+  return [typeOf(expected)];
+}
+
+/**
+ * Deep-merge configuration objects. Plain objects are merged key by key;
+ * arrays, functions and other values replace the previous value.
+ * @param {...object} layers - Configurations, later ones take precedence
+ * @returns {object} Merged configuration
+ */
+export function mergeConfig(...layers) {
+  const result = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      result[key] =
+        isPlainObject(value) && isPlainObject(result[key])
+          ? mergeConfig(result[key], value)
+          : isPlainObject(value)
+          ? mergeConfig(value)
+          : value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate configuration overrides against the default configuration
+ * @param {object} overrides - Partial configuration to check
+ * @param {string} source - Where the configuration comes from, for error messages
+ * @throws {ConfigError} Listing every unknown or mistyped option
+ */
+export function validateConfig(overrides, source = "options") {
+  const problems = [];
+
+  const check = (value, reference, keyPath) => {
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      if (!(key in reference)) {
+        const scope = keyPath ? ` in "${keyPath}"` : "";
+        const known = Object.keys(reference).join(", ");
+        problems.push(
+          `Unknown option "${childPath}". Known options${scope}: ${known}`
+        );
+        continue;
+      }
+
+      const expected = reference[key];
+      const allowed = getAllowedTypes(childPath, expected);
+      const actual = typeOf(child);
+
+      if (
+        actual === "null" &&
+        (expected === null || allowed.includes("object"))
+      ) {
+        continue;
+      }
+      if (!allowed.includes(actual)) {
+        const types = allowed.join(" or ");
+        problems.push(
+          `Option "${childPath}" must be of type ${types}, got ${actual}`
+        );
+        continue;
+      }
+
+      // NaN and Infinity are numbers too, but break delays and counts
+      if (actual === "number" && !Number.isFinite(child)) {
+        problems.push(
+          `Option "${childPath}" must be a finite number, got ${child}`
+        );
+        continue;
+      }
+      const values = OPTION_VALUES[childPath];
+      if (values && actual === "string" && !values.includes(child)) {
+        problems.push(
+          `Option "${childPath}" must be one of: ${values.join(
+            ", "
+          )} (got "${child}")`
+        );
+        continue;
+      }
+      if (
+        NON_EMPTY_OPTIONS.includes(childPath) &&
+        actual === "array" &&
+        child.length === 0
+      ) {
+        problems.push(`Option "${childPath}" must list at least one entry`);
+        continue;
+      }
+      const minimum = INTEGER_OPTIONS[childPath];
+      if (
+        minimum !== undefined &&
+        (!Number.isInteger(child) || child < minimum)
+      ) {
+        problems.push(
+          `Option "${childPath}" must be an integer of at least ${minimum}, got ${child}`
+        );
+        continue;
+      }
+      if (actual === "object" && isPlainObject(expected)) {
+        check(child, expected, childPath);
+      }
+    }
+  };
+
+  if (!isPlainObject(overrides)) {
+    throw new ConfigError(
+      `Invalid configuration in ${source}: expected an object`
+    );
+  }
+  check(overrides, defaultConfig, "");
+
+  if (problems.length > 0) {
+    throw new ConfigError(
+      `Invalid configuration in ${source}:\n  - ${problems.join("\n  - ")}`
+    );
+  }
+}
+
+/**
+ * Find a config file in a directory
+ * @param {string} dir - Directory to look in
+ * @returns {string|null} Path to the config file, or null if there is none
+ */
+export function findConfigFile(dir = process.cwd()) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const candidate = path.join(dir, name);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load and validate a config file (JSON, or an ES module whose default export
+ * is the configuration object)
+ * @param {string} filePath - Path to the config file
+ * @returns {Promise<object>} Partial configuration from the file
+ */
+export async function loadConfigFile(filePath) {
+  const resolved = path.resolve(process.cwd(), filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new ConfigError(`Config file not found: ${resolved}`);
+  }
+
+  let config;
+  try {
+    if (resolved.endsWith(".json")) {
+      config = JSON.parse(fs.readFileSync(resolved, "utf8"));
+    } else {
+      const module = await import(pathToFileURL(resolved).href);
+      config = module.default ?? module.config;
+    }
+  } catch (err) {
+    throw new ConfigError(
+      `Failed to load config file ${resolved}: ${err.message}`,
+      err
+    );
+  }
+
+  validateConfig(config, resolved);
+  return config;
+}
+
+/**
+ * Build the full configuration: defaults, then each layer of overrides
+ * @param {...object} layers - Partial configurations, later ones take precedence
+ * @returns {object} Complete configuration
+ */
+export function resolveConfig(...layers) {
+  layers.forEach((layer) => validateConfig(layer || {}));
+  return mergeConfig(defaultConfig, ...layers);
+}
@@ -1,17 +1,47 @@
-import { DocusaurusPdfExporter } from "./services/Exporter.js";
+import { DocusaurusPdfExporter, PROGRESS_EVENTS } from "./services/Exporter.js";
 import { defaultConfig } from "./config/defaults.js";
+import {
+  findConfigFile,
+  loadConfigFile,
+  mergeConfig,
+  resolveConfig,
+  validateConfig,
+} from "./config/loader.js";
+import {
+  ExportError,
+  SidebarError,
+  LinkCollectionError,
+  ConnectionError,
+  PdfExportError,
+  AllPagesFailedError,
+  PdfMergeError,
+  StaticServerError,
+  ConfigError,
+  ExportAbortedError,
+} from "./utils/errors.js";
 
 /**
  * Export Docusaurus documentation to PDF
- * @param {string} url - Base URL of the Docusaurus site
+ * @param {string} url - Base URL of the Docusaurus site, or path to a local build directory
  * @param {string} outputPath - Path where to save the output PDF
- * @param {object} options - Optional configuration to override defaults
- * @returns {Promise<string>} Path to the exported PDF file
+ * @param {object} options - Optional configuration, deep-merged with the defaults.
+ *   `options.configFile` loads a docexport.config.js / JSON file first,
+ *   `options.signal` (an AbortSignal) cancels the export,
+ *   `options.onProgress` is called with each progress event as `{ type, ...payload }`,
+ *   see DocusaurusPdfExporter.
+ * @returns {Promise<string|Array<object>>} Path to the exported PDF file, or the selected pages when `dryRun` is set
  */
 export async function exportToPdf(url, outputPath, options = {}) {
-  const config = { ...defaultConfig, ...options };
+  const { configFile, signal, onProgress, ...overrides } = options;
+  const fileConfig = configFile ? await loadConfigFile(configFile) : {};
+  const config = resolveConfig(fileConfig, overrides);
   const exporter = new DocusaurusPdfExporter(config);
-  return await exporter.export(url, outputPath);
+  if (onProgress) {
+    for (const type of PROGRESS_EVENTS) {
+      exporter.on(type, (payload) => onProgress({ type, ...payload }));
+    }
+  }
+  return await exporter.export(url, outputPath, { signal });
 }
 
 /**
@@ -22,9 +52,31 @@ export async function exportToPdf(url, outputPath, options = {}) {
  * @returns {Promise<string>} Path to the exported PDF file
  */
 export async function run(url, outputPath, needClean = true) {
-  return exportToPdf(url, outputPath, { cleanup: { cleanTempFiles: needClean } });
+  return exportToPdf(url, outputPath, {
+    cleanup: { cleanTempFiles: needClean },
+  });
 }
 
 // Export default config for advanced usage
 export { defaultConfig };
-export { DocusaurusPdfExporter };
+export { DocusaurusPdfExporter, PROGRESS_EVENTS };
+export {
+  findConfigFile,
+  loadConfigFile,
+  mergeConfig,
+  resolveConfig,
+  validateConfig,
+};
+// Error classes, to tell failures apart with instanceof
+export {
+  ExportError,
+  SidebarError,
+  LinkCollectionError,
+  ConnectionError,
+  PdfExportError,
+  AllPagesFailedError,
+  PdfMergeError,
+  StaticServerError,
+  ConfigError,
+  ExportAbortedError,
+};
@@ -0,0 +1,125 @@
+import { info, warn, debug } from "../utils/logger.js";
+import { normalizeUrl } from "../utils/url.js";
+import { slugify, uniqueName } from "../utils/fileSystem.js";
+
+/**
+ * Service finding the sidebars ("books") of a Docusaurus site: every sidebar
+ * reachable from the navbar, or the entry URLs listed in books.entries
+ */
+export class BookDetector {
+  constructor(page, config) {
+    this.page = page;
+    this.config = config;
+    this.selectors = config.selectors.books;
+  }
+
+  /**
+   * Read the internal navbar links of the current page
+   * @returns {Promise<Array<{title: string, url: string}>>} Navbar links
+   */
+  async readNavbarLinks() {
+    return await this.page.evaluate((selector) => {
+      return Array.from(document.querySelectorAll(selector))
+        .filter((link) => link.href && link.origin === location.origin)
+        .map((link) => ({ title: link.textContent.trim(), url: link.href }));
+    }, this.selectors.navbarLink);
+  }
+
+  /**
+   * Identify the sidebar of a page by the links it shows
+   * @param {string} url - Page URL
+   * @returns {Promise<string|null>} Sidebar signature, or null if the page has no sidebar
+   */
+  async readSidebarSignature(url) {
+    await this.page.goto(url, {
+      waitUntil: "domcontentloaded",
+      timeout: this.config.timeouts.pageLoad,
+    });
+    return await this.page.evaluate(({ sidebar, link }) => {
+      const menu = document.querySelector(sidebar);
+      if (!menu) return null;
+      return Array.from(menu.querySelectorAll(link))
+        .map((item) => item.getAttribute("href"))
+        .filter(Boolean)
+        .sort()
+        .join("\n");
+    }, this.selectors);
+  }
+
+  /**
+   * Find the books of the site, one per distinct sidebar linked from the navbar
+   * @param {string} startUrl - Start URL of the export
+   * @returns {Promise<Array<{name: string, title: string, url: string}>>} Books
+   */
+  async detectFromNavbar(startUrl) {
+    await this.page.goto(startUrl, {
+      waitUntil: "domcontentloaded",
+      timeout: this.config.timeouts.pageLoad,
+    });
+    const candidates = await this.readNavbarLinks();
+
+    const books = [];
+    const visitedUrls = new Set();
+    const signatures = new Set();
+    for (const candidate of candidates) {
+      const key = normalizeUrl(candidate.url);
+      if (visitedUrls.has(key)) continue;
+      visitedUrls.add(key);
+
+      try {
+        const signature = await this.readSidebarSignature(candidate.url);
+        if (!signature) {
+          debug(`No sidebar on ${candidate.url}, skipping`);
+          continue;
+        }
+        // Several navbar items may lead to the same sidebar
+        if (signatures.has(signature)) continue;
+        signatures.add(signature);
+        books.push({ ...candidate, name: slugify(candidate.title) });
+      } catch (err) {
+        warn(`Failed to read the sidebar of ${candidate.url}:`, err.message);
+      }
+    }
+
+    if (books.length === 0) {
+      warn("No sidebar found from the navbar, exporting the start URL only");
+      return [{ name: "docs", title: "", url: startUrl }];
+    }
+    return books;
+  }
+
+  /**
+   * Detect the books to export
+   * @param {string} startUrl - Start URL of the export
+   * @returns {Promise<Array<{name: string, title: string, url: string}>>} Books, in navbar or list order
+   */
+  async detect(startUrl) {
+    const { entries } = this.config.books;
+    const books =
+      entries === "navbar"
+        ? await this.detectFromNavbar(startUrl)
+        : entries.map((entry) => {
+            const { url, title = "", name } =
+              typeof entry === "string" ? { url: entry } : entry;
+            const resolvedUrl = new URL(url, startUrl).href;
+            return {
+              name: slugify(name || title || new URL(resolvedUrl).pathname),
+              title,
+              url: resolvedUrl,
+            };
+          });
+
+    // Book names end up in file names, keep them apart
+    const names = new Set();
+    for (const book of books) {
+      book.name = uniqueName(book.name, names, "book");
+    }
+
+    info(
+      `Exporting ${books.length} book(s): ${books
+        .map((book) => book.title || book.url)
+        .join(", ")}`
+    );
+    return books;
+  }
+}
@@ -0,0 +1,95 @@
+import { LinkCollectionError } from "../utils/errors.js";
+import { info, warn, debug } from "../utils/logger.js";
+import {
+  normalizeUrl,
+  matchesPathPrefix,
+  resolvePathPrefix,
+} from "../utils/url.js";
+
+const NON_PAGE_EXTENSIONS =
+  /\.(pdf|zip|tar|gz|png|jpe?g|gif|svg|webp|ico|css|js|json|xml|txt|mp4|webm)$/i;
+
+/**
+ * Page discovery strategy following links from the start URL,
+ * staying within a path prefix
+ */
+export class CrawlDiscovery {
+  constructor(page, config) {
+    this.page = page;
+    this.config = config;
+    this.discoveryConfig = config.discovery;
+  }
+
+  /**
+   * Collect the links of the current page
+   * @returns {Promise<string[]>} Absolute link targets
+   */
+  async extractLinks() {
+    return await this.page.$$eval("a[href]", (as) => as.map((a) => a.href));
+  }
+
+  /**
+   * Crawl pages breadth-first from the start URL
+   * @param {string} baseUrl - Start URL of the export
+   * @returns {Promise<Array<{url: string, title: string, categories: string[]}>>} Discovered pages in crawl order
+   */
+  async discover(baseUrl) {
+    const { origin } = new URL(baseUrl);
+    const prefix = resolvePathPrefix(baseUrl, this.discoveryConfig.pathPrefix);
+    const maxPages = this.discoveryConfig.maxPages;
+
+    const queue = [baseUrl];
+    const seen = new Set([normalizeUrl(baseUrl)]);
+    const entries = [];
+
+    info(`Crawling pages under ${origin}${prefix}`);
+    while (queue.length > 0 && entries.length < maxPages) {
+      const url = queue.shift();
+      try {
+        await this.page.goto(url, {
+          waitUntil: "networkidle",
+          timeout: this.config.timeouts.pageLoad,
+        });
+      } catch (err) {
+        warn(`Failed to crawl ${url}:`, err.message);
+        continue;
+      }
+
+      entries.push({ url, title: "", categories: [] });
+      debug(`Crawled ${url}`);
+
+      for (const link of await this.extractLinks()) {
+        let target;
+        try {
+          target = new URL(link);
+        } catch (err) {
+          continue;
+        }
+        target.hash = "";
+        target.search = "";
+
+        const key = normalizeUrl(target.href);
+        if (
+          target.origin !== origin ||
+          seen.has(key) ||
+          NON_PAGE_EXTENSIONS.test(target.pathname) ||
+          !matchesPathPrefix(target.href, prefix)
+        ) {
+          continue;
+        }
+        seen.add(key);
+        queue.push(target.href);
+      }
+    }
+
+    if (entries.length === 0) {
+      throw new LinkCollectionError(`No pages could be crawled from ${baseUrl}`);
+    }
+    if (queue.length > 0) {
+      warn(`Crawl stopped at discovery.maxPages (${maxPages})`);
+    }
+
+    info(`Collected ${entries.length} links by crawling`);
+    return entries;
+  }
+}
@@ -0,0 +1,76 @@
+import { PDFName } from "pdf-lib";
+import { normalizeUrl } from "../utils/url.js";
+
+/**
+ * Service mapping exported pages and their headings to positions in the merged PDF
+ */
+export class DestinationResolver {
+  /**
+   * @param {Array} pages - Pages of the merged PDF document
+   * @param {Array} metadata - Array of {url, headings, pageIndex, pageCount} after merging
+   */
+  constructor(pages, metadata) {
+    this.pages = pages;
+    this.entries = new Map();
+
+    for (const meta of metadata) {
+      if (!meta.pageCount) {
+        continue;
+      }
+      const key = normalizeUrl(meta.url);
+      if (!this.entries.has(key)) {
+        this.entries.set(key, meta);
+      }
+    }
+  }
+
+  /**
+   * Get the destination of the top of an exported page
+   * @param {string} url - Page URL
+   * @returns {{pageIndex: number, top: number}|null} Destination or null if not merged
+   */
+  resolvePage(url) {
+    const meta = this.entries.get(normalizeUrl(url));
+    if (!meta) {
+      return null;
+    }
+    const page = this.pages[meta.pageIndex];
+    return { pageIndex: meta.pageIndex, top: page.getHeight() };
+  }
+
+  /**
+   * Get the destination of a heading, falling back to the page top
+   * @param {string} url - Page URL
+   * @param {string|{destination: object}} heading - Heading id or heading metadata
+   * @returns {{pageIndex: number, top: number}|null} Destination or null if not merged
+   */
+  resolveHeading(url, heading) {
+    const meta = this.entries.get(normalizeUrl(url));
+    if (!meta) {
+      return null;
+    }
+
+    const target =
+      typeof heading === "string"
+        ? (meta.headings || []).find((h) => h.id === heading)
+        : heading;
+    return target?.destination || this.resolvePage(url);
+  }
+
+  /**
+   * Build a PDF explicit destination array ([page /XYZ left top zoom])
+   * @param {import('pdf-lib').PDFContext} context - PDF document context
+   * @param {{pageIndex: number, top: number}} destination - Resolved destination
+   * @returns {import('pdf-lib').PDFArray} Destination array
+   */
+  toDestArray(context, destination) {
+    const page = this.pages[destination.pageIndex];
+    return context.obj([
+      page.ref,
+      PDFName.of("XYZ"),
+      null,
+      Math.round(destination.top * 100) / 100,
+      null,
+    ]);
+  }
+}
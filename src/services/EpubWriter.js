@@ -0,0 +1,259 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { PdfMergeError } from "../utils/errors.js";
+import { info, warn } from "../utils/logger.js";
+import { ensureDirectoryExists } from "../utils/fileSystem.js";
+import { escapeHtml, loadTemplate } from "../utils/template.js";
+import { createZip } from "../utils/zip.js";
+import {
+  buildPageTree,
+  renderPageTree,
+  resolveContentLinks,
+} from "../utils/pageContent.js";
+
+/**
+ * File extensions of the image types EPUB readers must support
+ */
+const IMAGE_EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/svg+xml": ".svg",
+  "image/webp": ".webp",
+};
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+/**
+ * Service writing the captured content of the exported pages as an EPUB 3
+ * book: one XHTML document per page, in export order, and a navigation
+ * document following the sidebar categories
+ */
+export class EpubWriter {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Wrap content in an XHTML document
+   * @param {string} title - Document title
+   * @param {string} lang - Language code
+   * @param {string} body - Body markup
+   * @param {string} stylesheet - Relative path of the stylesheet
+   * @returns {string} XHTML document
+   */
+  toXhtml(title, lang, body, stylesheet) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeHtml(
+      lang
+    )}" xml:lang="${escapeHtml(lang)}">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="${stylesheet}"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Move the inlined images of a page to files of the book
+   * @param {string} content - Page content
+   * @param {Array<{name: string, mediaType: string, source: string, data: Buffer}>} images - Images of the book, extended in place
+   * @returns {string} Content referring to the image files
+   */
+  extractImages(content, images) {
+    return content.replace(
+      /="data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]*)"/g,
+      (match, mediaType, data) => {
+        const ext = IMAGE_EXTENSIONS[mediaType];
+        if (!ext) return match;
+        // Images repeated across pages are stored once
+        let image = images.find((entry) => entry.source === data);
+        if (!image) {
+          image = {
+            name: `images/image-${images.length + 1}${ext}`,
+            mediaType,
+            source: data,
+            data: Buffer.from(data, "base64"),
+          };
+          images.push(image);
+        }
+        return `="../${image.name}"`;
+      }
+    );
+  }
+
+  /**
+   * Build the package document
+   * @param {{title: string, lang: string, version: string|null}} book - Book details
+   * @param {Array<{id: string, href: string, mediaType: string, properties?: string}>} items - Manifest items
+   * @param {string[]} spine - Ids of the pages, in reading order
+   * @returns {string} content.opf
+   */
+  buildPackage(book, items, spine) {
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+    const manifest = items.map(
+      (item) =>
+        `    <item id="${item.id}" href="${escapeHtml(
+          item.href
+        )}" media-type="${item.mediaType}"${
+          item.properties ? ` properties="${item.properties}"` : ""
+        }/>`
+    );
+    const description = book.version
+      ? `\n    <dc:description>${escapeHtml(book.version)}</dc:description>`
+      : "";
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeHtml(
+      book.lang
+    )}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:uuid:${crypto.randomUUID()}</dc:identifier>
+    <dc:title>${escapeHtml(book.title)}</dc:title>
+    <dc:language>${escapeHtml(book.lang)}</dc:language>${description}
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+${manifest.join("\n")}
+  </manifest>
+  <spine>
+${spine.map((id) => `    <itemref idref="${id}"/>`).join("\n")}
+  </spine>
+</package>
+`;
+  }
+
+  /**
+   * Write the EPUB file
+   * @param {Array<object>} pages - Export metadata, whose `path` is the captured content
+   * @param {string} outputPath - Path of the EPUB file
+   * @param {{title: string, version: string|null, lang: string, externalHref?: Function}} book - Book details; `externalHref` links to pages outside the book, see resolveContentLinks()
+   * @returns {string} Path of the EPUB file
+   */
+  write(pages, outputPath, { title, version, lang, externalHref }) {
+    if (pages.length === 0) {
+      throw new PdfMergeError("No pages to write");
+    }
+    info(`Writing EPUB of ${pages.length} pages`);
+
+    const pageHref = (index) => `page-${index + 1}.xhtml`;
+    const files = [];
+    const images = [];
+    const items = [
+      {
+        id: "nav",
+        href: "nav.xhtml",
+        mediaType: "application/xhtml+xml",
+        properties: "nav",
+      },
+      { id: "style", href: "styles.css", mediaType: "text/css" },
+    ];
+    const spine = [];
+
+    // Links are resolved once every page is read, to skip failed pages
+    const contents = pages.map((page) => {
+      try {
+        return fs.readFileSync(page.path, "utf8");
+      } catch (err) {
+        warn(`Failed to add page ${page.path}:`, err.message);
+        page.mergeError = new PdfMergeError(
+          `Failed to add page ${page.path}`,
+          err
+        );
+        return null;
+      }
+    });
+
+    pages.forEach((page, index) => {
+      if (contents[index] === null) return;
+      const content = this.extractImages(
+        resolveContentLinks(
+          contents[index],
+          page.links || [],
+          pages,
+          (target, id) => `${pageHref(target)}${id ? `#${id}` : ""}`,
+          externalHref
+        ),
+        images
+      );
+      const properties = [
+        content.includes("<svg") && "svg",
+        /\ssrc="https?:/.test(content) && "remote-resources",
+      ].filter(Boolean);
+
+      const id = `page-${index + 1}`;
+      files.push({
+        name: `OEBPS/pages/${pageHref(index)}`,
+        data: this.toXhtml(
+          page.title || page.url,
+          lang,
+          content,
+          "../styles.css"
+        ),
+      });
+      items.push({
+        id,
+        href: `pages/${pageHref(index)}`,
+        mediaType: "application/xhtml+xml",
+        properties: properties.join(" ") || undefined,
+      });
+      spine.push(id);
+    });
+
+    images.forEach((image, i) => {
+      files.push({ name: `OEBPS/${image.name}`, data: image.data });
+      items.push({
+        id: `image-${i + 1}`,
+        href: image.name,
+        mediaType: image.mediaType,
+      });
+    });
+
+    // Pages that could not be added are left out of the navigation
+    const tree = buildPageTree(pages.filter((page) => !page.mergeError));
+    const indexes = pages
+      .map((page, index) => (page.mergeError ? null : index))
+      .filter((index) => index !== null);
+    const nav = this.toXhtml(
+      title,
+      lang,
+      `<nav epub:type="toc" id="toc"><h1>${escapeHtml(
+        this.config.toc.title
+      )}</h1>${renderPageTree(
+        tree,
+        (index) => `pages/${pageHref(indexes[index])}`
+      )}</nav>`,
+      "styles.css"
+    );
+
+    const epub = createZip([
+      // The mimetype comes first and uncompressed, so that readers can sniff it
+      { name: "mimetype", data: "application/epub+zip", store: true },
+      { name: "META-INF/container.xml", data: CONTAINER_XML },
+      {
+        name: "OEBPS/content.opf",
+        data: this.buildPackage({ title, lang, version }, items, spine),
+      },
+      { name: "OEBPS/nav.xhtml", data: nav },
+      { name: "OEBPS/styles.css", data: loadTemplate(null, "epub.css") },
+      ...files,
+    ]);
+
+    ensureDirectoryExists(path.dirname(outputPath));
+    fs.writeFileSync(outputPath, epub);
+    info(`EPUB written: ${outputPath}`);
+    return outputPath;
+  }
+}
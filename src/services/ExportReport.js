@@ -0,0 +1,245 @@
+import fs from "fs";
+import path from "path";
+import { info, warn } from "../utils/logger.js";
+import { ensureDirectoryExists } from "../utils/fileSystem.js";
+import { escapeHtml } from "../utils/template.js";
+
+/**
+ * Describe an error for the report
+ * @param {Error} err - Error to describe
+ * @returns {{name: string, message: string}} Error class and message, including its cause
+ */
+function describeError(err) {
+  const cause = err.cause?.message;
+  return {
+    name: err.name || "Error",
+    message: cause ? `${err.message}: ${cause}` : err.message,
+  };
+}
+
+/**
+ * Service recording the outcome of every page of an export (exported,
+ * skipped or failed, with timing and page range) and writing it as JSON
+ * or JUnit XML
+ */
+export class ExportReport {
+  constructor(config) {
+    this.config = config;
+    this.startedAt = new Date();
+    this.documents = [];
+    this.current = null;
+  }
+
+  /**
+   * Start recording the pages of an output PDF
+   * @param {string} outputPath - Path of the PDF the next pages go to
+   */
+  startDocument(outputPath) {
+    this.current = { path: outputPath, pages: new Map() };
+    this.documents.push(this.current);
+  }
+
+  /**
+   * Record the outcome of a page in the current document
+   * @param {string} url - Page URL
+   * @param {object} record - Fields to record: status ("exported", "skipped", "failed"), reason, filtered, error, attempts, durationMs, cached, resumed, pages
+   */
+  recordPage(url, record) {
+    if (!this.current) {
+      return;
+    }
+    const existing = this.current.pages.get(url) || { url };
+    this.current.pages.set(url, { ...existing, ...record });
+  }
+
+  /**
+   * Record a page that was skipped
+   * @param {string} url - Page URL
+   * @param {string} reason - Why the page is not exported
+   * @param {boolean} filtered - Whether the page was excluded on purpose by the filters
+   */
+  recordSkipped(url, reason, filtered = false) {
+    this.recordPage(url, { status: "skipped", reason, filtered });
+  }
+
+  /**
+   * Record a page that failed
+   * @param {string} url - Page URL
+   * @param {Error} err - Failure
+   * @param {object} record - Other fields to record
+   */
+  recordFailed(url, err, record = {}) {
+    this.recordPage(url, {
+      ...record,
+      status: "failed",
+      error: describeError(err),
+    });
+  }
+
+  /**
+   * Record the failure of the current document as a whole
+   * @param {Error} err - Failure
+   */
+  failDocument(err) {
+    if (this.current) {
+      this.current.error = describeError(err);
+    }
+  }
+
+  /**
+   * List the pages of the current document that failed or were skipped for
+   * another reason than the filters
+   * @returns {Array<object>} Page records
+   */
+  getIncompletePages() {
+    if (!this.current) {
+      return [];
+    }
+    return [...this.current.pages.values()].filter(
+      (page) =>
+        page.status === "failed" ||
+        (page.status === "skipped" && !page.filtered)
+    );
+  }
+
+  /**
+   * Record the page ranges of the merged pages, and the pages that could not be merged
+   * @param {Array<{url: string, title: string, pageRange?: {first: number, last: number}, mergeError?: Error}>} metadata - Export metadata after merging
+   */
+  recordMerge(metadata) {
+    for (const meta of metadata) {
+      if (meta.mergeError) {
+        this.recordFailed(meta.url, meta.mergeError, { pages: null });
+      } else {
+        // Pages of a combined document are only recorded here
+        const status = this.current?.pages.get(meta.url)?.status || "exported";
+        this.recordPage(meta.url, {
+          title: meta.title,
+          status,
+          pages: meta.pageRange || null,
+        });
+      }
+    }
+  }
+
+  /**
+   * Count pages by status
+   * @param {Array<{status: string}>} pages - Page records
+   * @returns {{total: number, exported: number, skipped: number, failed: number}} Counts
+   */
+  summarize(pages) {
+    const summary = { total: pages.length, exported: 0, skipped: 0, failed: 0 };
+    for (const page of pages) {
+      summary[page.status]++;
+    }
+    return summary;
+  }
+
+  /**
+   * Build the JSON report
+   * @returns {object} Report
+   */
+  toJSON() {
+    const finishedAt = new Date();
+    const documents = this.documents.map((document) => {
+      const pages = [...document.pages.values()];
+      return {
+        path: document.path,
+        summary: this.summarize(pages),
+        ...(document.error && { error: document.error }),
+        pages,
+      };
+    });
+    return {
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.startedAt,
+      summary: this.summarize(documents.flatMap((document) => document.pages)),
+      documents,
+    };
+  }
+
+  /**
+   * Build the JUnit XML report: one test suite per PDF, one test case per page
+   * @returns {string} JUnit XML
+   */
+  toJUnit() {
+    const report = this.toJSON();
+    const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+    const attributes = (values) =>
+      Object.entries(values)
+        .map(([name, value]) => `${name}="${escapeHtml(value)}"`)
+        .join(" ");
+    const counts = ({ total, failed, skipped }) => ({
+      tests: total,
+      failures: failed,
+      skipped,
+    });
+
+    const suites = report.documents.map((document) => {
+      const suiteName = path.basename(document.path);
+      const cases = document.pages.map((page) => {
+        const testcase = attributes({
+          classname: suiteName,
+          name: page.title ? `${page.title} (${page.url})` : page.url,
+          time: seconds(page.durationMs),
+        });
+        if (page.status === "failed") {
+          const failure = attributes({
+            type: page.error.name,
+            message: page.error.message,
+          });
+          return `    <testcase ${testcase}>\n      <failure ${failure}/>\n    </testcase>`;
+        }
+        if (page.status === "skipped") {
+          const skipped = attributes({ message: page.reason });
+          return `    <testcase ${testcase}>\n      <skipped ${skipped}/>\n    </testcase>`;
+        }
+        return `    <testcase ${testcase}/>`;
+      });
+
+      const time = document.pages.reduce(
+        (total, page) => total + (page.durationMs || 0),
+        0
+      );
+      const testsuite = attributes({
+        name: suiteName,
+        ...counts(document.summary),
+        time: seconds(time),
+      });
+      return `  <testsuite ${testsuite}>\n${cases.join("\n")}\n  </testsuite>`;
+    });
+
+    const testsuites = attributes({
+      name: "docexport",
+      ...counts(report.summary),
+      time: seconds(report.durationMs),
+    });
+    return (
+      `<?xml version="1.0" encoding="UTF-8"?>\n` +
+      `<testsuites ${testsuites}>\n${suites.join("\n")}\n</testsuites>\n`
+    );
+  }
+
+  /**
+   * Write the reports configured in report.json and report.junit
+   */
+  write() {
+    const { json, junit } = this.config.report;
+    const outputs = [
+      [json, () => `${JSON.stringify(this.toJSON(), null, 2)}\n`],
+      [junit, () => this.toJUnit()],
+    ];
+    for (const [file, render] of outputs) {
+      if (!file) continue;
+      try {
+        const reportPath = path.resolve(process.cwd(), file);
+        ensureDirectoryExists(path.dirname(reportPath));
+        fs.writeFileSync(reportPath, render());
+        info(`Wrote export report: ${reportPath}`);
+      } catch (err) {
+        warn(`Failed to write export report ${file}:`, err.message);
+      }
+    }
+  }
+}
@@ -1,34 +1,175 @@
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
 import { chromium } from "playwright";
-import { ExportError } from "../utils/errors.js";
+import {
+  AllPagesFailedError,
+  ConfigError,
+  ConnectionError,
+  ExportAbortedError,
+  ExportError,
+  LinkCollectionError,
+  PdfExportError,
+  PdfMergeError,
+} from "../utils/errors.js";
 import { LinkCollector } from "./LinkCollector.js";
+import { PageFilter } from "./PageFilter.js";
 import { PdfExporter } from "./PdfExporter.js";
+import { PageRenderPool } from "./PageRenderPool.js";
 import { PdfMerger } from "./PdfMerger.js";
+import { PageFolderWriter } from "./PageFolderWriter.js";
+import { HtmlDocumentWriter } from "./HtmlDocumentWriter.js";
+import { EpubWriter } from "./EpubWriter.js";
+import { StaticServer } from "./StaticServer.js";
+import { FrontMatterRenderer } from "./FrontMatterRenderer.js";
+import { VariantDetector } from "./VariantDetector.js";
+import { BookDetector } from "./BookDetector.js";
+import { ExportReport } from "./ExportReport.js";
+import { RunManifest } from "./RunManifest.js";
+import { PageCache } from "./PageCache.js";
 import {
   createTempDirectory,
+  ensureDirectoryExists,
   removeDirectory,
   resolveOutputPath,
+  isDirectory,
+  uniqueName,
 } from "../utils/fileSystem.js";
-import { info, error, warn, debug } from "../utils/logger.js";
+import {
+  info,
+  error,
+  warn,
+  debug,
+  withLogContext,
+  withLogging,
+} from "../utils/logger.js";
+import {
+  getAuthContextOptions,
+  getAuthHeaders,
+  loadCookieFile,
+  routeAuthHeaders,
+} from "../utils/auth.js";
+import { resolveFormatPath } from "../utils/outputFormat.js";
 
 /**
- * Main service that orchestrates the PDF export process
+ * Names of the progress events of DocusaurusPdfExporter, in the order of an export
  */
-export class DocusaurusPdfExporter {
+export const PROGRESS_EVENTS = [
+  "discovered",
+  "pageStart",
+  "pageDone",
+  "pageSkipped",
+  "pageFailed",
+  "mergeStart",
+  "done",
+];
+
+/**
+ * Main service that orchestrates the PDF export process.
+ *
+ * Emits progress events:
+ * - `discovered` ({url, output, total, pages}): pages selected for an output file
+ * - `pageStart` ({index, url, title, total}): a page starts rendering
+ * - `pageDone` ({index, url, title, completed, total, attempts, durationMs, cached, resumed}): a page was rendered
+ * - `pageSkipped` ({index, url, title, completed, total, reason, filtered, attempts, durationMs}): a page was skipped
+ * - `pageFailed` ({index, url, title, completed, total, error, attempts, durationMs}): a page failed after its retries
+ * - `mergeStart` ({output, format, pages}): the rendered pages are being written to an output file
+ * - `done` ({result, durationMs, summary}): the export completed
+ */
+export class DocusaurusPdfExporter extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
     this.browser = null;
     this.context = null;
     this.page = null;
+    this.server = null;
+    this.report = null;
+    this.signal = null;
+  }
+
+  /**
+   * Stop the export between two steps once it is aborted
+   * @throws {ExportAbortedError} If the signal was aborted
+   */
+  throwIfAborted() {
+    if (this.signal?.aborted) {
+      throw new ExportAbortedError("Export aborted", this.signal.reason);
+    }
+  }
+
+  /**
+   * Serve a local Docusaurus build directory
+   * @param {string} buildDir - Path to the build directory
+   * @returns {Promise<string>} URL to start the export from
+   */
+  async startStaticServer(buildDir) {
+    this.server = new StaticServer(buildDir, this.config);
+    const siteUrl = await this.server.start();
+    return new URL(this.config.server.startPath || "", siteUrl).href;
+  }
+
+  /**
+   * Build Playwright launch options from the browser configuration
+   * @returns {import('playwright').LaunchOptions} Launch options
+   */
+  getLaunchOptions() {
+    const { headless, executablePath, args, proxy } = this.config.browser;
+    const launchOptions = { headless, args };
+    if (executablePath) {
+      launchOptions.executablePath = executablePath;
+    }
+    if (proxy) {
+      launchOptions.proxy = typeof proxy === "string" ? { server: proxy } : proxy;
+    }
+    return launchOptions;
+  }
+
+  /**
+   * Build Playwright browser context options from the configuration
+   * @param {string} origin - Origin of the site, for the credentials
+   * @returns {import('playwright').BrowserContextOptions} Context options
+   */
+  getContextOptions(origin) {
+    const { locale, timezoneId } = this.config.browser;
+    const contextOptions = { viewport: this.config.viewport };
+    if (locale) {
+      contextOptions.locale = locale;
+    }
+    if (timezoneId) {
+      contextOptions.timezoneId = timezoneId;
+    }
+    return {
+      ...contextOptions,
+      ...getAuthContextOptions(this.config.auth, origin),
+    };
   }
 
   /**
    * Initialize browser and page
+   * @param {string} url - Start URL; credentials and headers are only sent to its origin
    */
-  async initialize() {
-    this.browser = await chromium.launch({ headless: false });
-    this.context = await this.browser.newContext({
-      viewport: this.config.viewport,
-    });
+  async initialize(url) {
+    const launchOptions = this.getLaunchOptions();
+    debug(
+      `Launching Chromium (${launchOptions.headless ? "headless" : "headed"})`
+    );
+    try {
+      this.browser = await chromium.launch(launchOptions);
+    } catch (err) {
+      throw new ExportError("Failed to launch the browser", err);
+    }
+    const { origin } = new URL(url);
+    this.context = await this.browser.newContext(
+      this.getContextOptions(origin)
+    );
+    const headers = getAuthHeaders(this.config.auth);
+    if (headers) {
+      await routeAuthHeaders(this.context, origin, headers);
+    }
+    if (this.config.auth.cookies) {
+      await this.context.addCookies(loadCookieFile(this.config.auth.cookies));
+    }
     this.page = await this.context.newPage();
   }
 
@@ -37,82 +178,903 @@ export class DocusaurusPdfExporter {
    * @param {string} url - URL to check
    */
   async verifyDocusaurusRunning(url) {
+    let response;
     try {
       info(`Checking if Docusaurus is running: ${url}`);
-      await this.page.goto(url, {
+      response = await this.page.goto(url, {
         waitUntil: "domcontentloaded",
         timeout: this.config.timeouts.pageLoad,
       });
-      info("Docusaurus is running");
     } catch (err) {
-      throw new ExportError(
+      throw new ConnectionError(
         `Failed to connect to Docusaurus at ${url}. Make sure the server is running.`,
         err
       );
     }
+    // Protected sites answer without credentials, but with an error page
+    const status = response?.status();
+    if (status === 401 || status === 403) {
+      throw new ConnectionError(
+        `Access to ${url} was denied (HTTP ${status}). Check the auth options.`
+      );
+    }
+    info("Docusaurus is running");
   }
 
   /**
-   * Export Docusaurus documentation to PDF
-   * @param {string} url - Base URL of the Docusaurus site
-   * @param {string} outputPath - Path where to save the output PDF
-   * @returns {Promise<string>} Path to the exported PDF file
+   * Read the site title, logo and document properties from the current page
+   * @returns {Promise<{title: string, logo: string|null, description: string|null, author: string|null, keywords: string[], lang: string|null}>} Site details
    */
-  async export(url, outputPath) {
-    let tempDir = null;
+  async readSiteInfo() {
+    try {
+      return await this.page.evaluate((selectors) => {
+        const readMeta = (selector) =>
+          document.querySelector(selector)?.getAttribute("content")?.trim() ||
+          null;
+        const title =
+          document.querySelector(selectors.title)?.textContent.trim() ||
+          readMeta('meta[property="og:site_name"]') ||
+          document.title.split("|").pop().trim();
+        const logo = document.querySelector(selectors.logo);
+        return {
+          title,
+          logo: logo ? logo.src : null,
+          description:
+            readMeta('meta[property="og:description"]') ||
+            readMeta('meta[name="description"]'),
+          author: readMeta('meta[name="author"]'),
+          keywords: (readMeta('meta[name="keywords"]') || "")
+            .split(",")
+            .map((keyword) => keyword.trim())
+            .filter(Boolean),
+          lang: document.documentElement.lang || null,
+        };
+      }, this.config.selectors.site);
+    } catch (err) {
+      warn("Failed to read site title and logo:", err.message);
+      return {
+        title: "",
+        logo: null,
+        description: null,
+        author: null,
+        keywords: [],
+        lang: null,
+      };
+    }
+  }
+
+  /**
+   * Build the document properties of an output, from the metadata options
+   * with the site details as defaults
+   * @param {object} siteInfo - Site details from readSiteInfo()
+   * @param {object} config - Export configuration
+   * @returns {{title: string, author: string|null, subject: string|null, keywords: string[], language: string|null, version: string|null}} Document metadata
+   */
+  getDocumentMetadata(siteInfo, config) {
+    const { metadata } = config;
+    return {
+      title: metadata.title || config.cover.title || siteInfo.title,
+      author: metadata.author || siteInfo.author,
+      subject: metadata.subject || siteInfo.description,
+      keywords:
+        metadata.keywords.length > 0 ? metadata.keywords : siteInfo.keywords,
+      language: metadata.language || siteInfo.lang,
+      version: config.docVersion,
+    };
+  }
+
+  /**
+   * Apply the include/exclude filters that do not need the page content
+   * @param {Array<{url: string, title: string, categories: string[]}>} links - Discovered link entries
+   * @param {PageFilter} pageFilter - Page filter
+   * @returns {Array<{url: string, title: string, categories: string[]}>} Selected link entries
+   */
+  selectPages(links, pageFilter) {
+    const selected = pageFilter.filterLinks(links);
+    for (const link of links) {
+      if (!selected.includes(link)) {
+        this.report?.recordSkipped(link.url, "Excluded by filters", true);
+      }
+    }
+    if (selected.length < links.length) {
+      info(`Filters selected ${selected.length} of ${links.length} pages`);
+    }
+    if (selected.length === 0) {
+      throw new LinkCollectionError(
+        "No pages match the include/exclude filters"
+      );
+    }
+    return selected;
+  }
 
+  /**
+   * List the pages an export would include, loading them only when tag
+   * filters need their tags
+   * @param {Array<{url: string, title: string, categories: string[]}>} links - Link entries selected so far
+   * @param {PageFilter} pageFilter - Page filter
+   * @returns {Promise<Array<{url: string, title: string, categories: string[], tags: string[]|null}>>} Selected pages
+   */
+  async listPages(links, pageFilter) {
+    if (!pageFilter.hasTagRules) {
+      return links.map((link) => ({ ...link, tags: null }));
+    }
+
+    const exporter = new PdfExporter(this.page, this.config);
+    const selected = [];
+    for (const link of links) {
+      let tags = null;
+      try {
+        await this.page.goto(link.url, {
+          waitUntil: "domcontentloaded",
+          timeout: this.config.timeouts.pageLoad,
+        });
+        tags = await exporter.readTags();
+      } catch (err) {
+        warn(`Failed to read tags of ${link.url}:`, err.message);
+      }
+      if (pageFilter.isSelected(link, tags)) {
+        selected.push({ ...link, tags });
+      }
+    }
+    return selected;
+  }
+
+  /**
+   * Discover and filter the pages of a sidebar
+   * @param {string} url - Start URL
+   * @param {object} config - Export configuration
+   * @returns {Promise<Array<{url: string, title: string, categories: string[]}>>} Selected link entries, with their tags for a dry run
+   */
+  async collectPages(url, config) {
+    info("---------------------");
+    const linkCollector = new LinkCollector(this.page, config);
+    const pageFilter = new PageFilter(config.filters);
+    const links = this.selectPages(
+      await linkCollector.collectAllLinks(url),
+      pageFilter
+    );
+
+    if (config.dryRun) {
+      const pages = await this.listPages(links, pageFilter);
+      info(`Dry run: ${pages.length} pages would be exported`);
+      return pages;
+    }
+    return links;
+  }
+
+  /**
+   * Render the selected pages to PDF files
+   * @param {Array<{url: string, title: string, categories: string[]}>} links - Link entries to export
+   * @param {string} outputDir - Directory for the per-page PDF files
+   * @param {string} url - Start URL, for link replacement
+   * @param {object} config - Export configuration
+   * @returns {Promise<Array<object>>} Export metadata of the rendered pages
+   */
+  async renderPages(links, outputDir, url, config) {
+    const renderPool = new PageRenderPool(
+      this.context,
+      config,
+      this.report,
+      this.manifest,
+      this,
+      this.signal
+    );
+    const exportedFiles = await renderPool.exportPages(links, outputDir, url);
+
+    if (exportedFiles.length === 0) {
+      throw new AllPagesFailedError("No pages were successfully exported");
+    }
+
+    const incomplete = this.report?.getIncompletePages() || [];
+    if (config.strict && incomplete.length > 0) {
+      const urls = incomplete.map((page) => page.url).join(", ");
+      throw new PdfExportError(
+        `Strict mode: ${incomplete.length} of ${links.length} pages were skipped or failed (${urls})`
+      );
+    }
+    return exportedFiles;
+  }
+
+  /**
+   * Read what the HTML document needs from the site: its stylesheets, with
+   * the fonts and images they use inlined as data URLs, and its language
+   * @param {string} url - URL of an exported page
+   * @returns {Promise<{siteStyles: string, lang: string}>} Site styles and language code
+   */
+  async readSiteAssets(url) {
     try {
-      // Initialize browser
-      await this.initialize();
+      await this.page.goto(url, {
+        waitUntil: "load",
+        timeout: this.config.timeouts.pageLoad,
+      });
+      const { siteStyles, lang, failed } = await this.page.evaluate(
+        async () => {
+          const rules = [];
+          for (const sheet of document.styleSheets) {
+            const base = sheet.href || document.baseURI;
+            try {
+              for (const rule of sheet.cssRules) {
+                rules.push(
+                  rule.cssText.replace(
+                    /url\((['"]?)([^'")]+)\1\)/g,
+                    (match, quote, value) =>
+                      value.startsWith("data:")
+                        ? match
+                        : `url("${new URL(value, base).href}")`
+                  )
+                );
+              }
+            } catch {
+              // Cross-origin stylesheets cannot be read
+            }
+          }
+
+          // Fetched from the page, so that the site credentials apply
+          const toDataUrl = async (src) => {
+            const response = await fetch(src);
+            if (!response.ok) {
+              throw new Error(`HTTP ${response.status}`);
+            }
+            const blob = await response.blob();
+            return await new Promise((resolve, reject) => {
+              const reader = new FileReader();
+              reader.onload = () => resolve(reader.result);
+              reader.onerror = () => reject(reader.error);
+              reader.readAsDataURL(blob);
+            });
+          };
+          const styles = rules.join("\n");
+          const urls = [
+            ...new Set(
+              Array.from(
+                styles.matchAll(/url\("((?!data:)[^"]+)"\)/g),
+                (match) => match[1]
+              )
+            ),
+          ];
+          const dataUrls = new Map();
+          const failed = [];
+          await Promise.all(
+            urls.map(async (src) => {
+              try {
+                dataUrls.set(src, await toDataUrl(src));
+              } catch {
+                failed.push(src);
+              }
+            })
+          );
+
+          return {
+            siteStyles: styles.replace(
+              /url\("((?!data:)[^"]+)"\)/g,
+              (match, src) =>
+                dataUrls.has(src) ? `url("${dataUrls.get(src)}")` : match
+            ),
+            lang: document.documentElement.lang || "en",
+            failed,
+          };
+        }
+      );
+      if (failed.length > 0) {
+        warn(
+          `Failed to inline ${failed.length} stylesheet assets, they stay remote:`,
+          failed.join(", ")
+        );
+      }
+      return { siteStyles, lang };
+    } catch (err) {
+      warn("Failed to read the site styles:", err.message);
+      return { siteStyles: "", lang: "en" };
+    }
+  }
+
+  /**
+   * Link to a page or file of the site that is not part of an HTML or EPUB
+   * output. Pages of a local build are served from a temporary address, so
+   * their links become plain text.
+   * @param {string} target - Absolute URL
+   * @returns {string|null} Link target, or null to drop the link
+   */
+  getExternalHref(target) {
+    if (this.server && new URL(target).origin === this.server.origin) {
+      return null;
+    }
+    return target;
+  }
+
+  /**
+   * Write rendered pages to the configured output format: one PDF with the
+   * configured front matter, a folder of page PDFs, an HTML document or an
+   * EPUB book. The beforeMerge hook may change the pages to write.
+   * @param {Array<object>} exportedFiles - Export metadata of the rendered pages
+   * @param {string} outputPath - Path where to save the output
+   * @param {object} siteInfo - Site details from readSiteInfo()
+   * @param {object} config - Export configuration
+   */
+  async writeOutput(exportedFiles, outputPath, siteInfo, config) {
+    if (config.hooks.beforeMerge) {
+      try {
+        const pages = await config.hooks.beforeMerge(this.page, {
+          pages: exportedFiles,
+          outputPath,
+          config,
+        });
+        if (Array.isArray(pages)) {
+          exportedFiles = pages;
+        }
+      } catch (err) {
+        throw new PdfMergeError(`beforeMerge hook failed: ${err.message}`, err);
+      }
+    }
+
+    this.throwIfAborted();
+    this.emit("mergeStart", {
+      output: outputPath,
+      format: config.output.format,
+      pages: exportedFiles.length,
+    });
+
+    const metadata = this.getDocumentMetadata(siteInfo, config);
+    const { title } = metadata;
+    const version = config.docVersion ? `Version ${config.docVersion}` : null;
+    switch (config.output.format) {
+      case "pdf-pages":
+        await new PageFolderWriter(config).write(exportedFiles, outputPath, {
+          title,
+          version,
+          metadata,
+        });
+        break;
+      case "html":
+      case "epub": {
+        const assets = await this.readSiteAssets(exportedFiles[0]?.url);
+        const { siteStyles } = assets;
+        const lang = config.metadata.language || assets.lang;
+        const externalHref = (target) => this.getExternalHref(target);
+        if (config.output.format === "html") {
+          new HtmlDocumentWriter(config).write(exportedFiles, outputPath, {
+            title,
+            version,
+            lang,
+            siteStyles,
+            externalHref,
+          });
+        } else {
+          new EpubWriter(config).write(exportedFiles, outputPath, {
+            title,
+            version,
+            lang,
+            externalHref,
+          });
+        }
+        break;
+      }
+      default:
+        await this.mergePages(exportedFiles, outputPath, siteInfo, config);
+    }
+    this.report?.recordMerge(exportedFiles);
 
-      // Verify Docusaurus is running
+    const unmerged = exportedFiles.filter((meta) => meta.mergeError);
+    if (config.strict && unmerged.length > 0) {
+      throw new PdfMergeError(
+        `Strict mode: ${unmerged.length} pages could not be written to ${outputPath}`,
+        unmerged[0].mergeError
+      );
+    }
+  }
+
+  /**
+   * Merge rendered pages into one PDF, with the configured front matter
+   * @param {Array<object>} exportedFiles - Export metadata of the rendered pages
+   * @param {string} outputPath - Path where to save the PDF
+   * @param {object} siteInfo - Site details from readSiteInfo()
+   * @param {object} config - Export configuration
+   */
+  async mergePages(exportedFiles, outputPath, siteInfo, config) {
+    const pdfMerger = new PdfMerger(config);
+    const { cover, toc } = config;
+    const frontMatterRenderer = new FrontMatterRenderer(
+      this.page,
+      config,
+      siteInfo
+    );
+    await pdfMerger.merge(exportedFiles, outputPath, {
+      title: cover.title || siteInfo.title,
+      metadata: this.getDocumentMetadata(siteInfo, config),
+      frontMatter:
+        cover.enabled || toc.enabled
+          ? (entries) => frontMatterRenderer.render(entries)
+          : null,
+    });
+  }
+
+  /**
+   * Export one site (or version/locale variant of a site) to a PDF file
+   * @param {string} url - Start URL
+   * @param {string} outputPath - Path where to save the output PDF
+   * @param {string|null} tempDir - Directory for the per-page PDF files
+   * @param {object} config - Export configuration
+   * @returns {Promise<string|Array<object>|object>} Path to the exported PDF file, the selected pages for a dry run, or the books when books.entries is set
+   */
+  async exportSite(url, outputPath, tempDir, config = this.config) {
+    // Verify Docusaurus is running
+    const siteInfo = await withLogContext({ phase: "setup" }, async () => {
       await this.verifyDocusaurusRunning(url);
+      return await this.readSiteInfo();
+    });
+
+    if (config.books.entries) {
+      return await this.exportBooks(url, outputPath, tempDir, siteInfo, config);
+    }
+
+    // Resolve output path
+    const { fullPath } = resolveOutputPath(
+      resolveFormatPath(outputPath, config.output.format)
+    );
+    this.report?.startDocument(fullPath);
+
+    // Step 1: Collect all links from sidebar
+    const links = await withLogContext({ phase: "discover" }, () =>
+      this.collectPages(url, config)
+    );
+    this.emit("discovered", {
+      url,
+      output: fullPath,
+      total: links.length,
+      pages: links,
+    });
+    if (config.dryRun) {
+      return links;
+    }
+
+    // Step 2: Export each page to PDF
+    const exportedFiles = await withLogContext({ phase: "render" }, () =>
+      this.renderPages(links, tempDir, url, config)
+    );
+
+    // Step 3: Merge all pages into the output
+    await withLogContext({ phase: "merge" }, () =>
+      this.writeOutput(exportedFiles, fullPath, siteInfo, config)
+    );
+
+    return fullPath;
+  }
+
+  /**
+   * Export each sidebar to its own PDF file and, with books.combined, all of
+   * them to the output path with one top-level section per book.
+   * A failing book is reported and skipped, unless in strict mode.
+   * @param {string} url - Start URL
+   * @param {string} outputPath - Output path, turned into one path per book
+   * @param {string|null} tempDir - Directory for the per-page PDF files
+   * @param {object} siteInfo - Site details from readSiteInfo()
+   * @param {object} config - Export configuration
+   * @returns {Promise<{path: string|null, books: Array<{name: string, title: string, url: string, path?: string, pages?: Array, error?: string}>}>} Combined PDF path and exported books
+   */
+  async exportBooks(url, outputPath, tempDir, siteInfo, config) {
+    const detector = new BookDetector(this.page, config);
+    const books = await withLogContext({ phase: "discover" }, () =>
+      detector.detect(url)
+    );
+    if (books.length === 0) {
+      throw new ConfigError("No books selected to export");
+    }
+    const results = [];
+    const errors = [];
+    const combinedFiles = [];
+    // The combined PDF is written to the output path, keep the books apart from it
+    const combinedPath = resolveOutputPath(
+      resolveFormatPath(outputPath, config.output.format)
+    ).fullPath;
+    const usedPaths = new Set(config.books.combined ? [combinedPath] : []);
+
+    for (const book of books) {
+      info("=====================");
+      info(`Book: ${book.title || book.url}`);
+      const bookConfig = book.title
+        ? {
+            ...config,
+            cover: {
+              ...config.cover,
+              title: config.cover.title || book.title,
+              subtitle: config.cover.subtitle || siteInfo.title,
+            },
+          }
+        : config;
 
-      // Resolve output path
-      const { fullPath } = resolveOutputPath(outputPath);
+      const bookPath = resolveFormatPath(
+        this.formatOutputPath(
+          resolveFormatPath(outputPath, config.output.format),
+          config.books.fileName,
+          { book: book.name },
+          usedPaths
+        ),
+        config.output.format
+      );
+      this.report?.startDocument(bookPath);
 
-      // Create temporary directory
-      tempDir = createTempDirectory(process.cwd());
+      try {
+        const links = await withLogContext({ phase: "discover" }, () =>
+          this.collectPages(book.url, bookConfig)
+        );
+        this.emit("discovered", {
+          url: book.url,
+          output: bookPath,
+          total: links.length,
+          pages: links,
+        });
+        if (config.dryRun) {
+          results.push({ ...book, pages: links });
+          continue;
+        }
 
-      // Step 1: Collect all links from sidebar
-      info("---------------------");
-      const linkCollector = new LinkCollector(this.page, this.config);
-      const links = await linkCollector.collectAllLinks(url);
+        const bookDir = path.join(tempDir, book.name);
+        ensureDirectoryExists(bookDir);
+        const exportedFiles = await withLogContext({ phase: "render" }, () =>
+          this.renderPages(links, bookDir, book.url, bookConfig)
+        );
 
-      // Step 2: Export each page to PDF
-      const pdfExporter = new PdfExporter(this.page, this.config);
-      const exportedFiles = await pdfExporter.exportPages(links, tempDir, url);
+        // Merging annotates the metadata, keep a clean copy for the combined PDF
+        if (config.books.combined) {
+          const section = book.title || book.name;
+          for (const meta of JSON.parse(JSON.stringify(exportedFiles))) {
+            combinedFiles.push({
+              ...meta,
+              categories: [section, ...(meta.categories || [])],
+            });
+          }
+        }
 
-      if (exportedFiles.length === 0) {
-        throw new ExportError("No pages were successfully exported");
+        await withLogContext({ phase: "merge" }, () =>
+          this.writeOutput(exportedFiles, bookPath, siteInfo, bookConfig)
+        );
+        results.push({ ...book, path: bookPath });
+      } catch (err) {
+        warn(`Failed to export book ${book.url}:`, err.message);
+        this.report?.failDocument(err);
+        if (config.strict || this.signal?.aborted) {
+          throw err;
+        }
+        errors.push(err);
+        results.push({ ...book, error: err.message });
       }
+    }
+
+    // Every book failed: report the first failure as the failure of the export
+    if (errors.length === results.length) {
+      throw errors[0];
+    }
+
+    if (combinedFiles.length === 0) {
+      return { path: null, books: results };
+    }
+    info("=====================");
+    info("Combining books");
+    this.report?.startDocument(combinedPath);
+    await withLogContext({ phase: "merge" }, () =>
+      this.writeOutput(combinedFiles, combinedPath, siteInfo, config)
+    );
+    return { path: combinedPath, books: results };
+  }
+
+  /**
+   * Build an output path from a file name template
+   * @param {string} outputPath - Output path given to the export
+   * @param {string} fileName - Template with {{name}} and {{ext}} of the output path
+   * @param {object} values - Values of the other placeholders
+   * @param {Set<string>} [usedPaths] - Paths given to the other variants or books: a taken path gets -2, -3... before its extension, and the returned path is added to the set
+   * @returns {string} Output path
+   */
+  formatOutputPath(outputPath, fileName, values, usedPaths = null) {
+    const { dir, filename } = resolveOutputPath(outputPath);
+    const ext = path.extname(filename);
+    const placeholders = {
+      name: path.basename(filename, ext),
+      ext,
+      ...values,
+    };
+    const formatted = fileName
+      .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => placeholders[key] ?? "")
+      // Drop the separators left by empty placeholders
+      .replace(/-{2,}/g, "-")
+      .replace(/-(?=\.[^.]*$)/, "");
+    const formattedPath = path.join(dir, formatted);
+    if (!usedPaths) {
+      return formattedPath;
+    }
 
-      // Step 3: Merge all PDFs into one
-      const pdfMerger = new PdfMerger(this.config);
-      await pdfMerger.merge(exportedFiles, fullPath);
+    // Labels that slugify alike, or a template without {{version}} or {{locale}}
+    const formattedExt = path.extname(formattedPath);
+    const base = formattedPath.slice(
+      0,
+      formattedPath.length - formattedExt.length
+    );
+    let uniquePath = formattedPath;
+    for (let i = 2; usedPaths.has(uniquePath); i++) {
+      uniquePath = `${base}-${i}${formattedExt}`;
+    }
+    usedPaths.add(uniquePath);
+    return uniquePath;
+  }
+
+  /**
+   * Describe an exported file for the index, relative to the index file
+   * @param {string} indexDir - Directory of the index file
+   * @param {object} result - Exported variant or book
+   * @returns {object} Index entry
+   */
+  toIndexEntry(indexDir, { path: filePath, pages, books, ...entry }) {
+    return {
+      ...entry,
+      file: filePath ? path.relative(indexDir, filePath) : null,
+      ...(books && {
+        books: books.map((book) => this.toIndexEntry(indexDir, book)),
+      }),
+    };
+  }
+
+  /**
+   * Write the index file listing the exported variants
+   * @param {string} outputPath - Output path given to the export
+   * @param {Array<object>} results - Exported variants
+   */
+  writeVariantIndex(outputPath, results) {
+    const { dir } = resolveOutputPath(outputPath);
+    const indexPath = path.resolve(dir, this.config.variants.indexFile);
+    const index = {
+      generatedAt: new Date().toISOString(),
+      exports: results.map((result) =>
+        this.toIndexEntry(path.dirname(indexPath), result)
+      ),
+    };
+    ensureDirectoryExists(path.dirname(indexPath));
+    fs.writeFileSync(indexPath, `${JSON.stringify(index, null, 2)}\n`);
+    info(`Wrote variant index: ${indexPath}`);
+  }
+
+  /**
+   * Export every selected version/locale pair to its own PDF file.
+   * A failing variant is reported and skipped, unless in strict mode.
+   * @param {string} url - Start URL
+   * @param {string} outputPath - Output path, turned into one path per variant
+   * @param {string|null} tempDir - Directory for the per-page PDF files
+   * @returns {Promise<Array<{version: string, versionLabel: string, locale: string, url: string, path?: string, pages?: Array, books?: Array, error?: string}>>} Exported variants
+   */
+  async exportVariants(url, outputPath, tempDir) {
+    const detector = new VariantDetector(this.page, this.config);
+    const variants = await withLogContext({ phase: "discover" }, () =>
+      detector.detect(url)
+    );
+    if (variants.length === 0) {
+      throw new ConfigError("No versions or locales selected to export");
+    }
+    const results = [];
+    const errors = [];
+    const usedPaths = new Set();
+    const usedDirs = new Set();
 
-      return fullPath;
+    for (const variant of variants) {
+      info("=====================");
+      info(
+        `Variant: ${[variant.versionLabel, variant.locale]
+          .filter(Boolean)
+          .join(" / ")}`
+      );
+      const config = {
+        ...this.config,
+        docVersion: variant.versionLabel || this.config.docVersion,
+      };
+
+      try {
+        // Each variant has its own page files, so that a resumed run can tell them apart
+        let variantDir = null;
+        if (tempDir) {
+          variantDir = path.join(
+            tempDir,
+            uniqueName(
+              [variant.version, variant.locale].filter(Boolean).join("-"),
+              usedDirs,
+              "default"
+            )
+          );
+          ensureDirectoryExists(variantDir);
+        }
+        const result = await this.exportSite(
+          variant.url,
+          this.formatOutputPath(
+            outputPath,
+            this.config.variants.fileName,
+            { version: variant.version, locale: variant.locale },
+            usedPaths
+          ),
+          variantDir,
+          config
+        );
+        // A path, the pages of a dry run, or { path, books } in books mode
+        if (typeof result === "string") {
+          results.push({ ...variant, path: result });
+        } else if (Array.isArray(result)) {
+          results.push({ ...variant, pages: result });
+        } else {
+          results.push({ ...variant, ...result });
+        }
+      } catch (err) {
+        warn(`Failed to export variant ${variant.url}:`, err.message);
+        this.report?.failDocument(err);
+        if (config.strict || this.signal?.aborted) {
+          throw err;
+        }
+        errors.push(err);
+        results.push({ ...variant, error: err.message });
+      }
+    }
+
+    // Every variant failed: report the first failure as the failure of the export
+    if (errors.length === results.length) {
+      throw errors[0];
+    }
+    if (this.config.variants.indexFile && !this.config.dryRun) {
+      this.writeVariantIndex(outputPath, results);
+    }
+    return results;
+  }
+
+  /**
+   * Run a step of the export teardown, so that its failure does not skip
+   * the next steps
+   * @param {string} description - What the step does, for the warning
+   * @param {Function} step - Step to run
+   */
+  async runTeardownStep(description, step) {
+    try {
+      await step();
     } catch (err) {
+      warn(`Failed to ${description}:`, err.message);
+    }
+  }
+
+  /**
+   * Export Docusaurus documentation to PDF
+   * @param {string} url - Base URL of the Docusaurus site, or path to a local build directory
+   * @param {string} outputPath - Path where to save the output PDF
+   * @param {object} [options] - Export options
+   * @param {AbortSignal} [options.signal] - Signal cancelling the export: the browser is closed and export() rejects with an ExportAbortedError
+   * @returns {Promise<string|Array<object>|object>} Path to the exported PDF file, the exported variants when variants.versions or variants.locales is set, the books when books.entries is set, or the selected pages for a dry run
+   */
+  export(url, outputPath, options = {}) {
+    // Scoped to this export, so that other exports keep their own logging options
+    return withLogging(this.config.logging, () =>
+      this.runExport(url, outputPath, options)
+    );
+  }
+
+  /**
+   * Run the export with the logging options of the configuration applied
+   * @param {string} url - Base URL of the Docusaurus site, or path to a local build directory
+   * @param {string} outputPath - Path where to save the output PDF
+   * @param {object} [options] - Export options, see export()
+   * @param {AbortSignal} [options.signal] - Signal cancelling the export
+   * @returns {Promise<string|Array<object>|object>} Result of export()
+   */
+  async runExport(url, outputPath, { signal = null } = {}) {
+    let tempDir = null;
+    let completed = false;
+    const startedAt = Date.now();
+    this.signal = signal;
+    this.throwIfAborted();
+    this.report = new ExportReport(this.config);
+    this.manifest = new RunManifest(this.config);
+
+    // Closing the browser makes the pending page operations fail right away
+    const onAbort = () => {
+      warn("Export aborted, closing the browser...");
+      this.browser?.close().catch(() => {});
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      // Create the temporary directory, or reuse the one of the interrupted run
+      if (!this.config.dryRun) {
+        const source = isDirectory(url)
+          ? path.resolve(process.cwd(), url)
+          : url;
+        if (this.config.resume.enabled) {
+          tempDir = this.manifest.resume(source, outputPath);
+        } else {
+          tempDir = createTempDirectory(process.cwd());
+          this.manifest.start(source, outputPath, tempDir);
+        }
+      }
+
+      // Serve a local build directory if a path was given
+      if (isDirectory(url)) {
+        url = await withLogContext({ phase: "setup" }, () =>
+          this.startStaticServer(url)
+        );
+      }
+
+      // Initialize browser
+      await withLogContext({ phase: "setup" }, () => this.initialize(url));
+      this.throwIfAborted();
+
+      const { versions, locales } = this.config.variants;
+      let result;
+      if (versions || locales) {
+        await withLogContext({ phase: "setup" }, () =>
+          this.verifyDocusaurusRunning(url)
+        );
+        result = await this.exportVariants(url, outputPath, tempDir);
+      } else {
+        result = await this.exportSite(url, outputPath, tempDir);
+      }
+      if (this.config.cache.enabled && !this.config.dryRun) {
+        new PageCache(this.config).prune(startedAt);
+      }
+      completed = true;
+      this.emit("done", {
+        result,
+        durationMs: Date.now() - startedAt,
+        summary: this.report.toJSON().summary,
+      });
+      return result;
+    } catch (err) {
+      // Steps interrupted by the closed browser fail with their own errors
+      if (signal?.aborted) {
+        throw err instanceof ExportAbortedError
+          ? err
+          : new ExportAbortedError("Export aborted", signal.reason);
+      }
       error("Export failed:", err);
       throw err;
     } finally {
-      // Always close browser
+      signal?.removeEventListener("abort", onAbort);
+
+      // Each teardown step runs even if the previous one failed
       if (this.browser) {
         info("Closing browser...");
-        await this.browser.close();
-      }
-
-      // Always cleanup temporary files if they were created
-      if (tempDir && this.config.cleanup.cleanTempFiles) {
-        try {
-          removeDirectory(tempDir);
-          debug(`Cleaned up temporary directory: ${tempDir}`);
-        } catch (cleanupErr) {
-          warn(
-            `Failed to clean up temporary directory ${tempDir}:`,
-            cleanupErr.message
-          );
-        }
+        await this.runTeardownStep("close the browser", () =>
+          this.browser.close()
+        );
+        this.browser = null;
+        this.context = null;
+        this.page = null;
+      }
+
+      if (this.server) {
+        await this.runTeardownStep("stop the static server", () =>
+          this.server.stop()
+        );
+        this.server = null;
+      }
+
+      // Written on failure too, so that CI shows how far the export went
+      if (!this.config.dryRun) {
+        await this.runTeardownStep("write the report", () =>
+          this.report.write()
+        );
+      }
+
+      // Keep the pages of a failed run for --resume
+      const resumable = !completed && this.manifest.pageCount > 0;
+      if (resumable) {
+        info(
+          `Progress saved to ${this.manifest.file}, run again with --resume to continue`
+        );
+      } else if (this.manifest.isActive) {
+        await this.runTeardownStep("remove the run manifest", () =>
+          this.manifest.remove()
+        );
+      }
+
+      // Cleanup temporary files if they were created, unless the run can be resumed
+      if (tempDir && !resumable && this.config.cleanup.cleanTempFiles) {
+        await this.runTeardownStep(
+          `clean up temporary directory ${tempDir}`,
+          () => {
+            removeDirectory(tempDir);
+            debug(`Cleaned up temporary directory: ${tempDir}`);
+          }
+        );
       }
     }
   }
@@ -0,0 +1,171 @@
+import fs from "fs";
+import path from "path";
+import { PDFDocument } from "pdf-lib";
+import { PdfExportError } from "../utils/errors.js";
+import { info, debug } from "../utils/logger.js";
+import { MARKER_PREFIX } from "../utils/markers.js";
+import { getPageLayout } from "../utils/pageLayout.js";
+import { toPixels } from "../utils/units.js";
+import {
+  escapeHtml,
+  loadTemplate,
+  renderTemplate,
+} from "../utils/template.js";
+
+const IMAGE_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+};
+
+/**
+ * Service rendering the cover page and the table of contents from HTML
+ * templates, through the same Playwright page used for the export
+ */
+export class FrontMatterRenderer {
+  /**
+   * @param {import('playwright').Page} page - Browser page to render with
+   * @param {object} config - Export configuration
+   * @param {{title: string, logo: string|null}} siteInfo - Details read from the site
+   */
+  constructor(page, config, siteInfo = {}) {
+    this.page = page;
+    this.config = config;
+    this.siteInfo = siteInfo;
+    this.layout = getPageLayout(config.pdf);
+  }
+
+  /**
+   * Size of the front matter pages: the paper size in paginated mode,
+   * an A4-proportioned page of the doc width in continuous mode
+   * @returns {{width: string, height: string}} Page size
+   */
+  getPageSize() {
+    if (this.layout.paginated) {
+      return { width: this.layout.width, height: this.layout.height };
+    }
+    const width = toPixels(this.layout.width);
+    return { width: `${width}px`, height: `${Math.round(width * 1.414)}px` };
+  }
+
+  /**
+   * Print HTML to a PDF buffer
+   * @param {string} html - Document to print
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async print(html) {
+    await this.page.setContent(html, { waitUntil: "load" });
+    return await this.page.pdf({
+      ...this.getPageSize(),
+      margin: this.layout.margins,
+      printBackground: this.config.pdf.printBackground,
+      tagged: this.config.pdf.tagged,
+    });
+  }
+
+  /**
+   * Build the <img> tag of the cover logo (local files are inlined)
+   * @returns {string} HTML, or an empty string if there is no logo
+   */
+  getLogoHtml() {
+    const logo = this.config.cover.logo || this.siteInfo.logo;
+    if (!logo) {
+      return "";
+    }
+
+    let src = logo;
+    if (!/^(https?|data):/.test(logo)) {
+      const file = path.resolve(process.cwd(), logo);
+      const type =
+        IMAGE_TYPES[path.extname(file).toLowerCase()] ||
+        "application/octet-stream";
+      src = `data:${type};base64,${fs.readFileSync(file).toString("base64")}`;
+    }
+    return `<img class="logo" src="${escapeHtml(src)}" alt="" />`;
+  }
+
+  /**
+   * Render the cover page
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async renderCover() {
+    const { cover, docVersion } = this.config;
+    const template = loadTemplate(cover.template, "cover.html");
+    const html = renderTemplate(template, {
+      title: cover.title || this.siteInfo.title || "Documentation",
+      subtitle: cover.subtitle || "",
+      version: docVersion ? `Version ${docVersion}` : "",
+      date: new Date().toISOString().split("T")[0],
+      logo: this.getLogoHtml(),
+    });
+    return await this.print(html);
+  }
+
+  /**
+   * Render the table of contents
+   * @param {Array<{title: string, depth: number, pageIndex: number}>} entries - TOC entries, pageIndex relative to the first content page
+   * @param {number} contentOffset - Number of pages in front of the content
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async renderToc(entries, contentOffset) {
+    const { toc } = this.config;
+    const entriesHtml = entries
+      .map(
+        (entry, i) =>
+          `<div class="toc-entry toc-depth-${entry.depth}">` +
+          `<a href="${MARKER_PREFIX}toc/${i}">${escapeHtml(entry.title)}</a>` +
+          `<span class="leader"></span>` +
+          `<span class="page-number">${contentOffset + entry.pageIndex + 1}</span>` +
+          `</div>`
+      )
+      .join("\n");
+
+    const template = loadTemplate(toc.template, "toc.html");
+    return await this.print(
+      renderTemplate(template, { title: toc.title, entries: entriesHtml })
+    );
+  }
+
+  /**
+   * Render the enabled front matter documents. The TOC is re-rendered until its
+   * own length is stable, so that its page numbers match the final document.
+   * @param {Array<{title: string, depth: number, pageIndex: number}>} entries - TOC entries
+   * @returns {Promise<Buffer[]>} PDF documents to put in front of the content
+   */
+  async render(entries) {
+    const documents = [];
+    let frontPages = 0;
+
+    try {
+      if (this.config.cover.enabled) {
+        info("Rendering cover page...");
+        const cover = await this.renderCover();
+        frontPages += (await PDFDocument.load(cover)).getPageCount();
+        documents.push(cover);
+      }
+
+      if (this.config.toc.enabled && entries.length > 0) {
+        info("Rendering table of contents...");
+        let tocPages = 1;
+        let toc = null;
+        for (let attempt = 0; attempt < 3; attempt++) {
+          toc = await this.renderToc(entries, frontPages + tocPages);
+          const pageCount = (await PDFDocument.load(toc)).getPageCount();
+          if (pageCount === tocPages) {
+            break;
+          }
+          debug(`TOC spans ${pageCount} pages, re-rendering page numbers`);
+          tocPages = pageCount;
+        }
+        documents.push(toc);
+      }
+    } catch (err) {
+      throw new PdfExportError("Failed to render cover or table of contents", err);
+    }
+
+    return documents;
+  }
+}
@@ -0,0 +1,109 @@
+import fs from "fs";
+import path from "path";
+import { PdfMergeError } from "../utils/errors.js";
+import { info, warn } from "../utils/logger.js";
+import { ensureDirectoryExists } from "../utils/fileSystem.js";
+import { loadTemplate, renderTemplate } from "../utils/template.js";
+import {
+  buildPageTree,
+  renderPageTree,
+  resolveContentLinks,
+} from "../utils/pageContent.js";
+
+/**
+ * Service writing the captured content of the exported pages as one
+ * self-contained HTML file, with the site stylesheets and images inlined
+ */
+export class HtmlDocumentWriter {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Prefix the heading ids of a page, so that they stay unique in the document
+   * @param {string} content - Captured XHTML content
+   * @param {number} index - Page index
+   * @param {Set<string>} ids - Heading ids of the page
+   * @returns {string} Content with prefixed heading ids
+   */
+  prefixHeadingIds(content, index, ids) {
+    return content.replace(/\sid="([^"]*)"/g, (match, id) =>
+      ids.has(id) ? ` id="p${index}-${id}"` : match
+    );
+  }
+
+  /**
+   * Write the HTML document
+   * @param {Array<object>} pages - Export metadata, whose `path` is the captured content
+   * @param {string} outputPath - Path of the HTML file
+   * @param {{title: string, version: string|null, lang: string, siteStyles: string, externalHref?: Function}} document - Document details; `externalHref` links to pages outside the document, see resolveContentLinks()
+   * @returns {string} Path of the HTML file
+   */
+  write(pages, outputPath, { title, version, lang, siteStyles, externalHref }) {
+    if (pages.length === 0) {
+      throw new PdfMergeError("No pages to write");
+    }
+    info(`Writing HTML document of ${pages.length} pages`);
+
+    const headingIds = pages.map(
+      (page) =>
+        new Set(
+          (page.headings || []).map((heading) => heading.id).filter(Boolean)
+        )
+    );
+    const hrefFor = (index, id) =>
+      id && headingIds[index].has(id) ? `#p${index}-${id}` : `#page-${index}`;
+
+    // Links are resolved once every page is read, to skip failed pages
+    const contents = pages.map((page) => {
+      try {
+        return fs.readFileSync(page.path, "utf8");
+      } catch (err) {
+        warn(`Failed to add page ${page.path}:`, err.message);
+        page.mergeError = new PdfMergeError(
+          `Failed to add page ${page.path}`,
+          err
+        );
+        return null;
+      }
+    });
+
+    const sections = [];
+    pages.forEach((page, index) => {
+      if (contents[index] === null) return;
+      const content = resolveContentLinks(
+        this.prefixHeadingIds(contents[index], index, headingIds[index]),
+        page.links || [],
+        pages,
+        hrefFor,
+        externalHref
+      );
+      sections.push(
+        `<section class="docexport-page" id="page-${index}">${content}</section>`
+      );
+    });
+
+    // Pages that could not be added are left out of the table of contents
+    const indexes = pages
+      .map((page, index) => (page.mergeError ? null : index))
+      .filter((index) => index !== null);
+    const html = renderTemplate(loadTemplate(null, "document.html"), {
+      lang,
+      title,
+      version: version || "",
+      // A stylesheet must not close the <style> element it is inlined in
+      siteStyles: siteStyles.replace(/<\/style/gi, "<\\/style"),
+      tocTitle: this.config.toc.title,
+      toc: renderPageTree(
+        buildPageTree(indexes.map((index) => pages[index])),
+        (i) => hrefFor(indexes[i])
+      ),
+      pages: sections.join("\n"),
+    });
+
+    ensureDirectoryExists(path.dirname(outputPath));
+    fs.writeFileSync(outputPath, html);
+    info(`HTML document written: ${outputPath}`);
+    return outputPath;
+  }
+}
@@ -0,0 +1,117 @@
+import { PDFName, PDFDict } from "pdf-lib";
+import { info, warn, debug } from "../utils/logger.js";
+import { MarkerReader } from "./MarkerReader.js";
+
+/**
+ * Service turning the internal link markers of the merged pages into
+ * GoTo links pointing inside the merged document
+ */
+export class LinkAnnotator {
+  /**
+   * @param {import('pdf-lib').PDFDocument} pdfDoc - Merged PDF document
+   * @param {import('./DestinationResolver.js').DestinationResolver} resolver - Destination resolver
+   */
+  constructor(pdfDoc, resolver) {
+    this.pdfDoc = pdfDoc;
+    this.context = pdfDoc.context;
+    this.resolver = resolver;
+    this.pages = resolver.pages;
+  }
+
+  /**
+   * Resolve the destination of a link target URL
+   * @param {string} target - Absolute link target, optionally with a #fragment
+   * @returns {{pageIndex: number, top: number}|null} Destination or null if the page was not exported
+   */
+  resolveTarget(target) {
+    const { hash } = new URL(target);
+    const id = decodeURIComponent(hash.slice(1));
+    return id
+      ? this.resolver.resolveHeading(target, id)
+      : this.resolver.resolvePage(target);
+  }
+
+  /**
+   * Point a marker annotation to a destination, or drop it so that the link
+   * text stays as plain text
+   * @param {{pageIndex: number, ref: import('pdf-lib').PDFRef}} annotation - Marker annotation
+   * @param {{pageIndex: number, top: number}|null} destination - Link destination
+   */
+  rewriteAnnotation(annotation, destination) {
+    if (!destination) {
+      this.pages[annotation.pageIndex].node.removeAnnot(annotation.ref);
+      return;
+    }
+
+    const annot = this.context.lookup(annotation.ref, PDFDict);
+    annot.delete(PDFName.of("A"));
+    annot.set(
+      PDFName.of("Dest"),
+      this.resolver.toDestArray(this.context, destination)
+    );
+  }
+
+  /**
+   * Rewrite all internal links of the merged pages
+   * @param {Array} metadata - Array of export metadata after merging
+   * @returns {Array<{url: string, target: string}>} Links whose target page was not exported
+   */
+  annotate(metadata) {
+    const unresolved = [];
+    let created = 0;
+
+    for (const meta of metadata) {
+      if (!meta.pageCount) {
+        continue;
+      }
+
+      for (const link of meta.links || []) {
+        const destination = this.resolveTarget(link.target);
+        for (const annotation of link.annotations || []) {
+          this.rewriteAnnotation(annotation, destination);
+        }
+
+        if (destination) {
+          created++;
+        } else {
+          unresolved.push({ url: meta.url, target: link.target });
+        }
+      }
+    }
+
+    info(`Created ${created} internal cross-references`);
+    if (unresolved.length > 0) {
+      warn(
+        `${unresolved.length} internal links point to pages that were not exported (left as plain text)`
+      );
+      for (const link of unresolved) {
+        debug(`Unresolved link on ${link.url}: ${link.target}`);
+      }
+    }
+    return unresolved;
+  }
+
+  /**
+   * Point the entries of a rendered table of contents to their destinations
+   * @param {Array<import('pdf-lib').PDFPage>} tocPages - Pages holding the TOC
+   * @param {Array<{destination: object}>} entries - TOC entries, indexed like their markers
+   */
+  annotateToc(tocPages, entries) {
+    const markerReader = new MarkerReader(this.pdfDoc);
+    for (const page of tocPages) {
+      for (const { marker, ref } of markerReader.listMarkers(page)) {
+        const entry = marker.type === "toc" ? entries[marker.index] : null;
+        if (entry) {
+          const annot = this.context.lookup(ref, PDFDict);
+          annot.delete(PDFName.of("A"));
+          annot.set(
+            PDFName.of("Dest"),
+            this.resolver.toDestArray(this.context, entry.destination)
+          );
+        } else {
+          page.node.removeAnnot(ref);
+        }
+      }
+    }
+  }
+}
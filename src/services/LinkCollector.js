@@ -1,9 +1,23 @@
 import { LinkCollectionError } from "../utils/errors.js";
 import { SidebarExpander } from "./SidebarExpander.js";
+import { SitemapDiscovery } from "./SitemapDiscovery.js";
+import { UrlListDiscovery } from "./UrlListDiscovery.js";
+import { CrawlDiscovery } from "./CrawlDiscovery.js";
 import { info, warn, debug } from "../utils/logger.js";
+import { normalizeUrl } from "../utils/url.js";
 
 /**
- * Service for collecting links from Docusaurus sidebar
+ * Built-in page discovery strategies (besides "sidebar")
+ */
+const DISCOVERY_STRATEGIES = {
+  sitemap: SitemapDiscovery,
+  "url-list": UrlListDiscovery,
+  crawl: CrawlDiscovery,
+};
+
+/**
+ * Service for collecting the pages to export, from the Docusaurus sidebar
+ * or from one of the discovery strategies
  */
 export class LinkCollector {
   constructor(page, config) {
@@ -13,14 +27,41 @@ export class LinkCollector {
     this.timeouts = config.timeouts;
   }
 
+  /**
+   * Extract sidebar links with their label and enclosing category labels
+   * @returns {Promise<Array<{url: string, title: string, categories: string[]}>>} Link entries in sidebar order
+   */
+  async extractLinkEntries() {
+    return await this.page.$$eval(
+      this.selectors.link,
+      (as, selectors) =>
+        as.map((a) => {
+          const categories = [];
+          let category = a.closest(selectors.category);
+          while (category) {
+            const label = category.querySelector(
+              `:scope > ${selectors.categoryLabel}`
+            );
+            // A category's own link belongs to its parent category
+            if (label && label !== a) {
+              categories.unshift(label.textContent.trim());
+            }
+            category = category.parentElement
+              ? category.parentElement.closest(selectors.category)
+              : null;
+          }
+          return { url: a.href, title: a.textContent.trim(), categories };
+        }),
+      this.selectors
+    );
+  }
+
   /**
    * Collect all links using alternative method (when sidebar structure is different)
    */
   async collectLinksAlternative() {
     try {
-      const allLinks = await this.page.$$eval(this.selectors.link, (as) =>
-        as.map((a) => a.href)
-      );
+      const allLinks = await this.extractLinkEntries();
       info(`Collected ${allLinks.length} links (alternative method)`);
       return allLinks;
     } catch (err) {
@@ -34,9 +75,9 @@ export class LinkCollector {
   /**
    * Collect all links from the sidebar
    * @param {string} baseUrl - Base URL of the Docusaurus site
-   * @returns {Promise<string[]>} Array of page URLs
+   * @returns {Promise<Array<{url: string, title: string, categories: string[]}>>} Link entries in sidebar order
    */
-  async collectAllLinks(baseUrl) {
+  async collectSidebarLinks(baseUrl) {
     info("Waiting for page to load...");
     await this.page.goto(baseUrl, { waitUntil: "networkidle" });
     await this.page.waitForTimeout(2000);
@@ -65,11 +106,95 @@ export class LinkCollector {
 
     // Collect all links
     debug("Extracting links from sidebar...");
-    const hrefs = await this.page.$$eval(this.selectors.link, (as) =>
-      as.map((a) => a.href)
-    );
+    const hrefs = await this.extractLinkEntries();
 
     info(`Collected ${hrefs.length} links from sidebar`);
     return hrefs;
   }
+
+  /**
+   * Run a discovery strategy
+   * @param {string|Function} strategy - Strategy name, or a custom
+   *   `async (baseUrl, { page, config }) => Array<string|{url, title, categories}>` function
+   * @param {string} baseUrl - Base URL of the Docusaurus site
+   * @returns {Promise<Array<{url: string, title: string, categories: string[]}>>} Discovered pages
+   */
+  async discover(strategy, baseUrl) {
+    let discovered;
+    if (typeof strategy === "function") {
+      try {
+        discovered = await strategy(baseUrl, {
+          page: this.page,
+          config: this.config,
+        });
+      } catch (err) {
+        throw new LinkCollectionError("Custom discovery strategy failed", err);
+      }
+    } else {
+      const Strategy = DISCOVERY_STRATEGIES[strategy];
+      if (!Strategy) {
+        throw new LinkCollectionError(
+          `Unknown discovery strategy "${strategy}". Expected one of: sidebar, ${Object.keys(DISCOVERY_STRATEGIES).join(", ")}`
+        );
+      }
+      discovered = await new Strategy(this.page, this.config).discover(baseUrl);
+    }
+
+    return (discovered || []).map((entry) =>
+      typeof entry === "string"
+        ? { url: entry, title: "", categories: [] }
+        : { title: "", categories: [], ...entry }
+    );
+  }
+
+  /**
+   * Order discovered pages like the sidebar: sidebar pages first (with their
+   * sidebar labels and categories), then the remaining pages in discovery order
+   * @param {Array} discovered - Discovered pages
+   * @param {Array} sidebarLinks - Sidebar link entries
+   * @returns {Array} Ordered pages
+   */
+  applySidebarOrder(discovered, sidebarLinks) {
+    const remaining = new Map(
+      discovered.map((entry) => [normalizeUrl(entry.url), entry])
+    );
+    const ordered = [];
+
+    for (const link of sidebarLinks) {
+      const key = normalizeUrl(link.url);
+      if (remaining.has(key)) {
+        ordered.push({ ...remaining.get(key), ...link });
+        remaining.delete(key);
+      }
+    }
+
+    return [...ordered, ...remaining.values()];
+  }
+
+  /**
+   * Collect all pages to export using the configured discovery strategy
+   * @param {string} baseUrl - Base URL of the Docusaurus site
+   * @returns {Promise<Array<{url: string, title: string, categories: string[]}>>} Link entries to export
+   */
+  async collectAllLinks(baseUrl) {
+    const { strategy, sidebarOrder } = this.config.discovery;
+    if (strategy === "sidebar") {
+      return await this.collectSidebarLinks(baseUrl);
+    }
+
+    const discovered = await this.discover(strategy, baseUrl);
+
+    // An explicit URL list keeps its own order
+    if (!sidebarOrder || strategy === "url-list") {
+      return discovered;
+    }
+
+    try {
+      const sidebarLinks = await this.collectSidebarLinks(baseUrl);
+      return this.applySidebarOrder(discovered, sidebarLinks);
+    } catch (err) {
+      warn("Could not read the sidebar, keeping discovery order:", err.message);
+      return discovered;
+    }
+  }
 }
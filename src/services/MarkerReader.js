@@ -0,0 +1,92 @@
+import { PDFName, PDFArray, PDFDict } from "pdf-lib";
+import { parseMarker } from "../utils/markers.js";
+
+/**
+ * Service reading the heading and link markers that PdfExporter leaves in
+ * each printed page, once the pages are copied into the merged document
+ */
+export class MarkerReader {
+  /**
+   * @param {import('pdf-lib').PDFDocument} pdfDoc - Merged PDF document
+   */
+  constructor(pdfDoc) {
+    this.pdfDoc = pdfDoc;
+    this.context = pdfDoc.context;
+  }
+
+  /**
+   * Read the URI of a link annotation
+   * @param {PDFDict} annot - Annotation dictionary
+   * @returns {string|null} URI or null if the annotation is not a URI link
+   */
+  getUri(annot) {
+    if (annot.get(PDFName.of("Subtype")) !== PDFName.of("Link")) {
+      return null;
+    }
+    const action = annot.lookupMaybe(PDFName.of("A"), PDFDict);
+    const uri = action && action.lookup(PDFName.of("URI"));
+    return uri && typeof uri.decodeText === "function" ? uri.decodeText() : null;
+  }
+
+  /**
+   * List the marker annotations of a page
+   * @param {import('pdf-lib').PDFPage} page - Page to scan
+   * @returns {Array<{marker: {type: string, index: number}, ref: import('pdf-lib').PDFRef, annot: PDFDict}>} Marker annotations
+   */
+  listMarkers(page) {
+    const annots = page.node.Annots();
+    if (!annots) {
+      return [];
+    }
+
+    const markers = [];
+    for (let i = 0; i < annots.size(); i++) {
+      const ref = annots.get(i);
+      const annot = this.context.lookupMaybe(ref, PDFDict);
+      const marker = annot && parseMarker(this.getUri(annot));
+      if (marker) {
+        markers.push({ marker, ref, annot });
+      }
+    }
+    return markers;
+  }
+
+  /**
+   * Collect the markers of the pages of one exported doc.
+   * Heading markers get a `destination`; link markers get their annotations.
+   * Heading annotations are removed from the pages, link annotations are kept
+   * for LinkAnnotator to rewrite.
+   * @param {object} meta - Export metadata of the doc ({headings, links})
+   * @param {Array} pages - Copied pages of the doc
+   * @param {number} firstPageIndex - Index of the first page in the merged document
+   */
+  read(meta, pages, firstPageIndex) {
+    const headings = meta.headings || [];
+    const links = meta.links || [];
+
+    pages.forEach((page, offset) => {
+      const pageIndex = firstPageIndex + offset;
+
+      for (const { marker, ref, annot } of this.listMarkers(page)) {
+        if (marker.type === "heading") {
+          const heading = headings[marker.index];
+          const rect = annot
+            .lookup(PDFName.of("Rect"), PDFArray)
+            .asRectangle();
+          // Keep the first (topmost) box of headings wrapping on several lines
+          if (heading && !heading.destination) {
+            heading.destination = {
+              pageIndex,
+              top: Math.min(rect.y + rect.height, page.getHeight()),
+            };
+          }
+          page.node.removeAnnot(ref);
+        } else if (marker.type === "link" && links[marker.index]) {
+          const link = links[marker.index];
+          link.annotations = link.annotations || [];
+          link.annotations.push({ pageIndex, ref });
+        }
+      }
+    });
+  }
+}
@@ -0,0 +1,135 @@
+import fs from "fs";
+import { PDFName, PDFDict, PDFHexString } from "pdf-lib";
+import { debug } from "../utils/logger.js";
+import { escapeHtml } from "../utils/template.js";
+
+const pkg = JSON.parse(
+  fs.readFileSync(new URL("../../package.json", import.meta.url), "utf8")
+);
+
+/**
+ * Tool named as Producer and CreatorTool of the written PDFs
+ */
+const PRODUCER = `${pkg.name} ${pkg.version}`;
+
+/**
+ * Namespace of the custom XMP properties
+ */
+const XMP_NAMESPACE = "https://github.com/fosk06/export-docusaurus-pdf/ns/1.0/";
+
+/**
+ * Service writing the document metadata of a PDF: the Info dictionary,
+ * the document language and an XMP metadata stream
+ */
+export class MetadataWriter {
+  /**
+   * @param {import('pdf-lib').PDFDocument} pdfDoc - PDF document
+   */
+  constructor(pdfDoc) {
+    this.pdfDoc = pdfDoc;
+    this.context = pdfDoc.context;
+  }
+
+  /**
+   * Build the XMP packet describing the document
+   * @param {object} metadata - Document metadata, see write()
+   * @param {Date} date - Creation date
+   * @returns {string} XMP packet
+   */
+  buildXmp(metadata, date) {
+    const { title, author, subject, keywords, language, version } = metadata;
+    const lang = language || "x-default";
+    const alt = (value) =>
+      `<rdf:Alt><rdf:li xml:lang="x-default">${escapeHtml(
+        value
+      )}</rdf:li></rdf:Alt>`;
+    const properties = [
+      title && `<dc:title>${alt(title)}</dc:title>`,
+      author &&
+        `<dc:creator><rdf:Seq><rdf:li>${escapeHtml(
+          author
+        )}</rdf:li></rdf:Seq></dc:creator>`,
+      subject && `<dc:description>${alt(subject)}</dc:description>`,
+      keywords.length > 0 &&
+        `<dc:subject><rdf:Bag>${keywords
+          .map((keyword) => `<rdf:li>${escapeHtml(keyword)}</rdf:li>`)
+          .join("")}</rdf:Bag></dc:subject>`,
+      `<dc:language><rdf:Bag><rdf:li>${escapeHtml(
+        lang
+      )}</rdf:li></rdf:Bag></dc:language>`,
+      "<dc:format>application/pdf</dc:format>",
+      keywords.length > 0 &&
+        `<pdf:Keywords>${escapeHtml(keywords.join(", "))}</pdf:Keywords>`,
+      `<pdf:Producer>${escapeHtml(PRODUCER)}</pdf:Producer>`,
+      `<xmp:CreatorTool>${escapeHtml(PRODUCER)}</xmp:CreatorTool>`,
+      `<xmp:CreateDate>${date.toISOString()}</xmp:CreateDate>`,
+      `<xmp:ModifyDate>${date.toISOString()}</xmp:ModifyDate>`,
+      `<xmp:MetadataDate>${date.toISOString()}</xmp:MetadataDate>`,
+      version &&
+        `<docexport:DocVersion>${escapeHtml(version)}</docexport:DocVersion>`,
+    ].filter(Boolean);
+
+    return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:docexport="${XMP_NAMESPACE}">
+      ${properties.join("\n      ")}
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+  }
+
+  /**
+   * Write the metadata. Missing values are left out.
+   * @param {object} metadata - Document metadata
+   * @param {string} [metadata.title] - Document title, shown by viewers instead of the file name
+   * @param {string} [metadata.author] - Author
+   * @param {string} [metadata.subject] - Subject (description)
+   * @param {string[]} [metadata.keywords] - Keywords
+   * @param {string} [metadata.language] - Language code, e.g. "en" or "fr-FR"
+   * @param {string} [metadata.version] - Documentation version, stored as the DocVersion custom property
+   * @param {Date} [date] - Creation date
+   */
+  write(metadata, date = new Date()) {
+    const { pdfDoc } = this;
+    const { title, author, subject, language, version } = metadata;
+    const keywords = (metadata.keywords || []).filter(Boolean);
+
+    if (title) pdfDoc.setTitle(title, { showInWindowTitleBar: true });
+    if (author) pdfDoc.setAuthor(author);
+    if (subject) pdfDoc.setSubject(subject);
+    if (language) pdfDoc.setLanguage(language);
+    pdfDoc.setProducer(PRODUCER);
+    pdfDoc.setCreator(PRODUCER);
+    pdfDoc.setCreationDate(date);
+    pdfDoc.setModificationDate(date);
+
+    // pdf-lib separates keywords with spaces, commas keep multi-word keywords apart
+    const infoDict = this.context.lookup(
+      this.context.trailerInfo.Info,
+      PDFDict
+    );
+    if (keywords.length > 0) {
+      infoDict.set(
+        PDFName.of("Keywords"),
+        PDFHexString.fromText(keywords.join(", "))
+      );
+    }
+    if (version) {
+      infoDict.set(PDFName.of("DocVersion"), PDFHexString.fromText(version));
+    }
+
+    // XMP is UTF-8 and stays uncompressed, so that catalogs can read it directly
+    const stream = this.context.stream(
+      Buffer.from(this.buildXmp({ ...metadata, keywords }, date), "utf8"),
+      { Type: "Metadata", Subtype: "XML" }
+    );
+    pdfDoc.catalog.set(PDFName.of("Metadata"), this.context.register(stream));
+    debug(`Wrote PDF metadata: ${title || "(untitled)"}`);
+  }
+}
@@ -0,0 +1,179 @@
+import { PDFName, PDFHexString } from "pdf-lib";
+import { info, debug } from "../utils/logger.js";
+
+/**
+ * Service for writing the PDF outline (bookmarks) of the merged document.
+ * The tree is: sidebar categories > exported pages > page headings (h2-h6).
+ */
+export class OutlineBuilder {
+  /**
+   * @param {import('pdf-lib').PDFDocument} pdfDoc - Merged PDF document
+   * @param {import('./DestinationResolver.js').DestinationResolver} resolver - Destination resolver
+   * @param {object} config - Export configuration
+   */
+  constructor(pdfDoc, resolver, config) {
+    this.pdfDoc = pdfDoc;
+    this.context = pdfDoc.context;
+    this.resolver = resolver;
+    this.outlineConfig = config.outline;
+  }
+
+  /**
+   * Build the outline node tree from the export metadata
+   * @param {Array} metadata - Array of {url, title, categories, headings} after merging
+   * @param {number} maxHeadingLevel - Deepest heading level to include
+   * @returns {Array<{title: string, destination: object, open: boolean, children: Array}>} Root nodes
+   */
+  buildTree(metadata, maxHeadingLevel = this.outlineConfig.maxHeadingLevel) {
+    const root = { children: [] };
+    const categoryNodes = new Map();
+
+    for (const meta of metadata) {
+      const destination = this.resolver.resolvePage(meta.url);
+      if (!destination) {
+        continue;
+      }
+
+      // Create (or reuse) the chain of sidebar categories for this page
+      let parent = root;
+      const categoryPath = [];
+      for (const label of meta.categories || []) {
+        categoryPath.push(label);
+        const key = categoryPath.join("\u0000");
+        let categoryNode = categoryNodes.get(key);
+        if (!categoryNode) {
+          categoryNode = {
+            title: label,
+            destination,
+            open: categoryPath.length <= this.outlineConfig.openDepth,
+            children: [],
+          };
+          parent.children.push(categoryNode);
+          categoryNodes.set(key, categoryNode);
+        }
+        parent = categoryNode;
+      }
+
+      const pageNode = {
+        title: meta.title || meta.url,
+        destination,
+        open: false,
+        children: [],
+      };
+      parent.children.push(pageNode);
+
+      // Nest headings under the closest preceding heading of a lower level
+      const stack = [{ level: 1, node: pageNode }];
+      for (const heading of meta.headings || []) {
+        if (
+          heading.level < 2 ||
+          heading.level > maxHeadingLevel
+        ) {
+          continue;
+        }
+        while (stack[stack.length - 1].level >= heading.level) {
+          stack.pop();
+        }
+        const headingNode = {
+          title: heading.text,
+          destination: this.resolver.resolveHeading(meta.url, heading),
+          open: false,
+          children: [],
+        };
+        stack[stack.length - 1].node.children.push(headingNode);
+        stack.push({ level: heading.level, node: headingNode });
+      }
+    }
+
+    return root.children;
+  }
+
+  /**
+   * Write a list of sibling outline items and their descendants
+   * @param {Array} nodes - Sibling nodes
+   * @param {import('pdf-lib').PDFRef} parentRef - Reference of the parent item
+   * @returns {{first: PDFRef, last: PDFRef, count: number}} Links for the parent and visible item count
+   */
+  writeItems(nodes, parentRef) {
+    const refs = nodes.map(() => this.context.nextRef());
+    let count = 0;
+
+    nodes.forEach((node, i) => {
+      const item = {
+        Title: PDFHexString.fromText(node.title),
+        Parent: parentRef,
+        Dest: this.resolver.toDestArray(this.context, node.destination),
+      };
+      if (i > 0) {
+        item.Prev = refs[i - 1];
+      }
+      if (i < nodes.length - 1) {
+        item.Next = refs[i + 1];
+      }
+
+      count++;
+      if (node.children.length > 0) {
+        const children = this.writeItems(node.children, refs[i]);
+        item.First = children.first;
+        item.Last = children.last;
+        // Positive count = open item, negative = closed (PDF 32000-1, 12.3.3)
+        item.Count = node.open ? children.count : -children.count;
+        if (node.open) {
+          count += children.count;
+        }
+      }
+
+      this.context.assign(refs[i], this.context.obj(item));
+    });
+
+    return { first: refs[0], last: refs[refs.length - 1], count };
+  }
+
+  /**
+   * Build and attach the outline to the document catalog
+   * @param {Array} metadata - Array of export metadata after merging
+   * @returns {number} Number of top-level outline items
+   */
+  build(metadata) {
+    const nodes = this.buildTree(metadata);
+    if (nodes.length === 0) {
+      debug("No outline entries to create");
+      return 0;
+    }
+
+    const outlinesRef = this.context.nextRef();
+    const items = this.writeItems(nodes, outlinesRef);
+    this.context.assign(
+      outlinesRef,
+      this.context.obj({
+        Type: "Outlines",
+        First: items.first,
+        Last: items.last,
+        Count: items.count,
+      })
+    );
+
+    this.pdfDoc.catalog.set(PDFName.of("Outlines"), outlinesRef);
+    this.pdfDoc.catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+    info(`Created PDF outline with ${nodes.length} top-level entries`);
+    return nodes.length;
+  }
+}
+
+/**
+ * Flatten an outline node tree in reading order
+ * @param {Array} nodes - Outline nodes
+ * @param {number} depth - Depth of the given nodes
+ * @returns {Array<{title: string, depth: number, destination: object, pageIndex: number}>} Flat entries
+ */
+export function flattenOutline(nodes, depth = 0) {
+  return nodes.flatMap((node) => [
+    {
+      title: node.title,
+      depth,
+      destination: node.destination,
+      pageIndex: node.destination.pageIndex,
+    },
+    ...flattenOutline(node.children, depth + 1),
+  ]);
+}
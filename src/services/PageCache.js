@@ -0,0 +1,205 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { info, debug, warn } from "../utils/logger.js";
+import { ensureDirectoryExists, readTextFiles } from "../utils/fileSystem.js";
+import { toSiteRelative } from "../utils/url.js";
+import { getPageExtension } from "../utils/outputFormat.js";
+
+/**
+ * Bump when the cached metadata or the rendering changes incompatibly
+ */
+const CACHE_FORMAT = 1;
+
+/**
+ * Files of cache entries: the key, then the page or metadata extension
+ */
+const ENTRY_FILE = /^([0-9a-f]{64})\./;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Persistent cache of rendered pages: the PDF and the extracted headings,
+ * links and tags, keyed by the page content and the rendering configuration
+ */
+export class PageCache {
+  constructor(config) {
+    this.dir = path.resolve(process.cwd(), config.cache.dir);
+    this.pageExtension = getPageExtension(config.output.format);
+    this.maxAge = config.cache.maxAge;
+    this.maxEntries = config.cache.maxEntries;
+    this.hits = 0;
+    this.misses = 0;
+
+    // Only options changing the rendered PDF or its metadata invalidate entries
+    this.configHash = crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify({
+          format: CACHE_FORMAT,
+          pageExtension: this.pageExtension,
+          pdf: config.pdf,
+          styles: config.styles,
+          expand: config.expand,
+          viewport: config.viewport,
+          links: config.links,
+          selectors: config.selectors.content,
+          expandSelectors: config.selectors.expand,
+          inject: [
+            ...readTextFiles(config.inject.css, "stylesheet"),
+            ...readTextFiles(config.inject.scripts, "script"),
+          ].map(({ content }) => content),
+          beforePage: String(config.hooks.beforePage),
+          locale: config.browser.locale,
+          timezoneId: config.browser.timezoneId,
+        })
+      )
+      .digest("hex");
+
+    ensureDirectoryExists(this.dir);
+  }
+
+  /**
+   * Compute the cache key of a page
+   * @param {string} url - Page URL
+   * @param {string} content - Rendered content of the page
+   * @returns {string} Cache key
+   */
+  getKey(url, content) {
+    // The origin changes with the port of the local static server
+    const { pathname } = new URL(url);
+    return crypto
+      .createHash("sha256")
+      .update(this.configHash)
+      .update(pathname)
+      .update(content)
+      .digest("hex");
+  }
+
+  /**
+   * Paths of the files of a cache entry
+   * @param {string} key - Cache key
+   * @returns {{file: string, meta: string}} Page file (PDF or captured HTML) and metadata paths
+   */
+  getEntryPaths(key) {
+    return {
+      file: path.join(this.dir, `${key}${this.pageExtension}`),
+      meta: path.join(this.dir, `${key}.json`),
+    };
+  }
+
+  /**
+   * Look up a page. The cached PDF is used in place, without copying.
+   * @param {string} key - Cache key
+   * @param {string} url - Page URL, to resolve the cached link targets
+   * @returns {{path: string, headings: Array, links: Array, url: string, title: string, tags: string[], cached: true}|null} Export result, or null on a miss
+   */
+  get(key, url) {
+    const entry = this.getEntryPaths(key);
+    try {
+      // The metadata is written last, so its presence means a complete entry
+      if (!fs.existsSync(entry.meta) || !fs.existsSync(entry.file)) {
+        this.misses++;
+        return null;
+      }
+      const meta = JSON.parse(fs.readFileSync(entry.meta, "utf8"));
+      // The modification time of the metadata tells when the entry was last used
+      const now = new Date();
+      fs.utimesSync(entry.meta, now, now);
+      this.hits++;
+      return {
+        path: entry.file,
+        headings: meta.headings,
+        links: meta.links.map((link) => ({
+          ...link,
+          target: new URL(link.target, url).href,
+        })),
+        url,
+        title: meta.title,
+        tags: meta.tags,
+        cached: true,
+      };
+    } catch (err) {
+      warn(`Ignoring unreadable cache entry ${key}:`, err.message);
+      this.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Store a rendered page
+   * @param {string} key - Cache key
+   * @param {{path: string, headings: Array, links: Array, url: string, title: string, tags: string[]}} result - Export result
+   */
+  set(key, result) {
+    const entry = this.getEntryPaths(key);
+    const { origin } = new URL(result.url);
+    try {
+      fs.copyFileSync(result.path, entry.file);
+      const meta = {
+        headings: result.headings,
+        // Same-origin targets are stored without the origin (see getKey)
+        links: result.links.map((link) => ({
+          ...link,
+          target: toSiteRelative(link.target, origin),
+        })),
+        title: result.title,
+        tags: result.tags,
+      };
+      fs.writeFileSync(entry.meta, JSON.stringify(meta));
+      debug(`Cached ${result.url} as ${key}`);
+    } catch (err) {
+      warn(`Failed to cache ${result.url}:`, err.message);
+    }
+  }
+
+  /**
+   * Remove the entries not used for cache.maxAge days, then the least
+   * recently used ones beyond cache.maxEntries. Entries used since the start
+   * of the export are kept: their files are merged in place.
+   * @param {number} since - Start time of the export, in ms
+   * @returns {number} Number of removed entries
+   */
+  prune(since) {
+    const entries = new Map();
+    try {
+      for (const name of fs.readdirSync(this.dir)) {
+        const match = ENTRY_FILE.exec(name);
+        if (!match) continue;
+        const file = path.join(this.dir, name);
+        const entry = entries.get(match[1]) || { files: [], lastUsed: 0 };
+        entry.files.push(file);
+        entry.lastUsed = Math.max(entry.lastUsed, fs.statSync(file).mtimeMs);
+        entries.set(match[1], entry);
+      }
+    } catch (err) {
+      warn(`Failed to read the cache directory ${this.dir}:`, err.message);
+      return 0;
+    }
+
+    const now = Date.now();
+    let remaining = entries.size;
+    let removed = 0;
+    const unused = [...entries.values()]
+      .filter((entry) => entry.lastUsed < since)
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const entry of unused) {
+      const expired =
+        this.maxAge > 0 && now - entry.lastUsed > this.maxAge * DAY;
+      const overLimit = this.maxEntries > 0 && remaining > this.maxEntries;
+      if (!expired && !overLimit) continue;
+      try {
+        entry.files.forEach((file) => fs.rmSync(file, { force: true }));
+        remaining--;
+        removed++;
+      } catch (err) {
+        warn(`Failed to remove cache entry ${entry.files[0]}:`, err.message);
+      }
+    }
+
+    if (removed > 0) {
+      info(`Cache: pruned ${removed} unused entries, ${remaining} left`);
+    }
+    return removed;
+  }
+}
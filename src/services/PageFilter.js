@@ -0,0 +1,112 @@
+import { normalizeUrl } from "../utils/url.js";
+import { createMatcher, REGEX_PREFIX } from "../utils/pattern.js";
+
+/**
+ * Build the matchers of one rule set (filters.include or filters.exclude)
+ * @param {{paths?: Array, categories?: Array, tags?: Array}} rules - Patterns by field
+ * @returns {{paths: Function[], categories: Function[], tags: Function[]}} Matchers by field
+ */
+function compileRules(rules = {}) {
+  const paths = (rules.paths || []).map((pattern) =>
+    // "/docs/api/" selects everything under /docs/api
+    typeof pattern === "string" &&
+    !pattern.startsWith(REGEX_PREFIX) &&
+    pattern.endsWith("/")
+      ? createMatcher(`${pattern}**`)
+      : createMatcher(pattern)
+  );
+  const categories = (rules.categories || []).map((pattern) =>
+    createMatcher(pattern, { ignoreCase: true })
+  );
+  const tags = (rules.tags || []).map((pattern) =>
+    createMatcher(pattern, { ignoreCase: true })
+  );
+  return { paths, categories, tags };
+}
+
+/**
+ * Service selecting the pages to export from include/exclude rules on the
+ * URL path, the sidebar categories and the front-matter tags of each page.
+ * A page is exported when it matches an include rule (or there are none)
+ * and no exclude rule.
+ */
+export class PageFilter {
+  /**
+   * @param {{include: object, exclude: object}} filters - filters section of the configuration
+   */
+  constructor(filters = {}) {
+    this.include = compileRules(filters.include);
+    this.exclude = compileRules(filters.exclude);
+  }
+
+  /**
+   * Whether any include rule is configured
+   * @returns {boolean} True if pages must match an include rule
+   */
+  get hasIncludeRules() {
+    return Object.values(this.include).some((matchers) => matchers.length > 0);
+  }
+
+  /**
+   * Whether tags must be read from the rendered page to select it
+   * @returns {boolean} True if a tag rule is configured
+   */
+  get hasTagRules() {
+    return this.include.tags.length > 0 || this.exclude.tags.length > 0;
+  }
+
+  /**
+   * Match a page against a rule set
+   * @param {{paths: Function[], categories: Function[], tags: Function[]}} rules - Compiled rules
+   * @param {{url: string, categories?: string[]}} link - Link entry
+   * @param {string[]|null} tags - Tags of the page, or null if not read yet
+   * @returns {boolean|null} Whether a rule matches, or null if only the tags can tell
+   */
+  matchRules(rules, link, tags) {
+    const { pathname } = new URL(normalizeUrl(link.url));
+    if (rules.paths.some((matches) => matches(pathname))) {
+      return true;
+    }
+    const categories = link.categories || [];
+    if (
+      rules.categories.some((matches) =>
+        categories.some((category) => matches(category))
+      )
+    ) {
+      return true;
+    }
+    if (rules.tags.length === 0) {
+      return false;
+    }
+    if (tags === null) {
+      return null;
+    }
+    return rules.tags.some((matches) => tags.some((tag) => matches(tag)));
+  }
+
+  /**
+   * Check whether a page is selected. Without its tags, a page that only tag
+   * rules could reject is kept, to be checked again once rendered.
+   * @param {{url: string, categories?: string[]}} link - Link entry
+   * @param {string[]|null} tags - Tags of the page, or null if not read yet
+   * @returns {boolean} True if the page should be exported
+   */
+  isSelected(link, tags = null) {
+    if (this.matchRules(this.exclude, link, tags) === true) {
+      return false;
+    }
+    if (!this.hasIncludeRules) {
+      return true;
+    }
+    return this.matchRules(this.include, link, tags) !== false;
+  }
+
+  /**
+   * Keep the links selected by their path and categories
+   * @param {Array<{url: string, title: string, categories: string[]}>} links - Link entries
+   * @returns {Array<{url: string, title: string, categories: string[]}>} Selected link entries
+   */
+  filterLinks(links) {
+    return links.filter((link) => this.isSelected(link));
+  }
+}
@@ -0,0 +1,189 @@
+import fs from "fs";
+import path from "path";
+import { PDFDocument, PDFName, PDFDict, PDFString } from "pdf-lib";
+import { PdfMergeError } from "../utils/errors.js";
+import { info, warn, debug } from "../utils/logger.js";
+import { ensureDirectoryExists, slugify } from "../utils/fileSystem.js";
+import { loadTemplate, renderTemplate } from "../utils/template.js";
+import {
+  buildPageTree,
+  renderPageTree,
+  findLinkTarget,
+} from "../utils/pageContent.js";
+import { MarkerReader } from "./MarkerReader.js";
+import { MetadataWriter } from "./MetadataWriter.js";
+
+/**
+ * Service writing the exported pages as a folder of numbered PDFs, with an
+ * index.html listing them by sidebar category
+ */
+export class PageFolderWriter {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Name the file of each page after its position and title
+   * @param {Array<{title: string}>} pages - Export metadata
+   * @returns {string[]} File names, like "001-getting-started.pdf"
+   */
+  getFileNames(pages) {
+    const width = Math.max(3, String(pages.length).length);
+    return pages.map(
+      (page, index) =>
+        `${String(index + 1).padStart(width, "0")}-${
+          slugify(page.title || "") || "page"
+        }.pdf`
+    );
+  }
+
+  /**
+   * Build the action opening another page PDF of the folder at a link's
+   * target: its heading, or the top of its first page
+   * @param {string} target - Link target URL, optionally with a #fragment
+   * @param {Array} pages - Export metadata of every page, with heading destinations
+   * @param {Array<PDFDocument>} documents - Loaded page PDFs, by page index
+   * @param {string[]} fileNames - File names of the pages
+   * @returns {object|null} GoToR action, or null if the target page was not written
+   */
+  getRemoteAction(target, pages, documents, fileNames) {
+    const destination = findLinkTarget(pages, target);
+    if (!destination || pages[destination.index].mergeError) {
+      return null;
+    }
+    const heading = destination.id
+      ? (pages[destination.index].headings || []).find(
+          (entry) => entry.id === destination.id
+        )
+      : null;
+    const { pageIndex, top } = heading?.destination || {
+      pageIndex: 0,
+      top: documents[destination.index].getPage(0).getHeight(),
+    };
+    return {
+      S: "GoToR",
+      // Relative file specification: the PDFs are opened from the same folder
+      F: PDFString.of(fileNames[destination.index]),
+      // Remote destinations give the page by its number, not a page reference
+      D: [
+        pageIndex,
+        PDFName.of("XYZ"),
+        null,
+        Math.round(top * 100) / 100,
+        null,
+      ],
+    };
+  }
+
+  /**
+   * Point the link markers of a page PDF to the other page PDFs, and drop
+   * the markers left. Links to pages that were not exported are removed, like
+   * in the merged PDF.
+   * @param {PDFDocument} pdfDoc - Page PDF, whose markers were read by MarkerReader
+   * @param {object} meta - Export metadata of the page
+   * @param {Array} pages - Export metadata of every page
+   * @param {Array<PDFDocument>} documents - Loaded page PDFs, by page index
+   * @param {string[]} fileNames - File names of the pages
+   */
+  rewriteMarkers(pdfDoc, meta, pages, documents, fileNames) {
+    const pdfPages = pdfDoc.getPages();
+    for (const link of meta.links || []) {
+      const action = this.getRemoteAction(
+        link.target,
+        pages,
+        documents,
+        fileNames
+      );
+      for (const { pageIndex, ref } of link.annotations || []) {
+        if (action) {
+          pdfDoc.context
+            .lookup(ref, PDFDict)
+            .set(PDFName.of("A"), pdfDoc.context.obj(action));
+        } else {
+          pdfPages[pageIndex].node.removeAnnot(ref);
+        }
+      }
+    }
+
+    // Markers without a link entry
+    const markerReader = new MarkerReader(pdfDoc);
+    for (const page of pdfPages) {
+      for (const { ref } of markerReader.listMarkers(page)) {
+        page.node.removeAnnot(ref);
+      }
+    }
+  }
+
+  /**
+   * Write the page PDFs and their index
+   * @param {Array<object>} pages - Export metadata, whose `path` is the page PDF
+   * @param {string} outputDir - Folder to write to
+   * @param {{title: string, version: string|null, metadata: object}} document - Document details, and the properties of the page PDFs
+   * @returns {Promise<string>} Path of the folder
+   */
+  async write(pages, outputDir, { title, version, metadata }) {
+    if (pages.length === 0) {
+      throw new PdfMergeError("No pages to write");
+    }
+    info(`Writing ${pages.length} page PDFs to ${outputDir}`);
+    ensureDirectoryExists(outputDir);
+
+    const fileNames = this.getFileNames(pages);
+    const documents = [];
+    for (const [index, meta] of pages.entries()) {
+      try {
+        const pdfDoc = await PDFDocument.load(fs.readFileSync(meta.path));
+        meta.pageCount = pdfDoc.getPageCount();
+        // Heading positions are needed by the links of the other pages
+        new MarkerReader(pdfDoc).read(meta, pdfDoc.getPages(), 0);
+        documents[index] = pdfDoc;
+      } catch (err) {
+        warn(`Failed to read page ${meta.path}:`, err.message);
+        meta.pageCount = 0;
+        meta.mergeError = new PdfMergeError(
+          `Failed to read page ${meta.path}`,
+          err
+        );
+      }
+    }
+
+    // Links are rewritten once every page is loaded, to skip failed pages
+    for (const [index, meta] of pages.entries()) {
+      const pdfDoc = documents[index];
+      if (!pdfDoc) continue;
+      const file = path.join(outputDir, fileNames[index]);
+      debug(`Writing page ${index + 1}/${pages.length}: ${file}`);
+
+      try {
+        this.rewriteMarkers(pdfDoc, meta, pages, documents, fileNames);
+        new MetadataWriter(pdfDoc).write({
+          ...metadata,
+          title: meta.title || metadata.title,
+        });
+        fs.writeFileSync(file, await pdfDoc.save());
+      } catch (err) {
+        warn(`Failed to write page ${file}:`, err.message);
+        meta.mergeError = new PdfMergeError(
+          `Failed to write page ${file}`,
+          err
+        );
+      }
+    }
+
+    const written = pages.filter((meta) => !meta.mergeError);
+    const writtenNames = fileNames.filter(
+      (_, index) => !pages[index].mergeError
+    );
+    const index = renderTemplate(loadTemplate(null, "pages-index.html"), {
+      title,
+      version: version || "",
+      pages: renderPageTree(buildPageTree(written), (i) =>
+        encodeURI(writtenNames[i])
+      ),
+    });
+    fs.writeFileSync(path.join(outputDir, "index.html"), index);
+
+    info(`Page PDFs written: ${outputDir}`);
+    return outputDir;
+  }
+}
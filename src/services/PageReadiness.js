@@ -0,0 +1,202 @@
+import { warn, debug } from "../utils/logger.js";
+
+/**
+ * Service waiting for the content a page renders after load (lazy images,
+ * web fonts, Mermaid diagrams, math, live code blocks) before it is printed
+ */
+export class PageReadiness {
+  /**
+   * @param {import('playwright').Page} page - Browser page to wait on
+   * @param {object} config - Export configuration
+   */
+  constructor(page, config) {
+    this.page = page;
+    this.config = config;
+    this.options = config.readiness;
+    this.selectors = config.selectors.readiness;
+  }
+
+  /**
+   * Scroll through the page so that lazy images and components load, then
+   * back to the top
+   */
+  async scrollThrough() {
+    await this.page.evaluate(async (stepDelay) => {
+      const pause = () =>
+        new Promise((resolve) => setTimeout(resolve, stepDelay));
+
+      // Lazy images would only load once scrolled into view in print
+      document
+        .querySelectorAll('img[loading="lazy"]')
+        .forEach((img) => img.setAttribute("loading", "eager"));
+
+      const step = Math.max(window.innerHeight, 200);
+      for (let y = 0; y < document.body.scrollHeight; y += step) {
+        window.scrollTo(0, y);
+        await pause();
+      }
+      window.scrollTo(0, 0);
+    }, this.options.scrollDelay);
+  }
+
+  /**
+   * Wait for every image to load and decode. Broken images are not waited for.
+   */
+  async waitForImages() {
+    await this.page.evaluate(async () => {
+      const images = Array.from(document.images);
+      await Promise.all(
+        images.map(async (img) => {
+          if (!img.complete) {
+            await new Promise((resolve) => {
+              img.addEventListener("load", resolve, { once: true });
+              img.addEventListener("error", resolve, { once: true });
+            });
+          }
+          if (img.naturalWidth > 0) {
+            await img.decode().catch(() => {});
+          }
+        })
+      );
+    });
+  }
+
+  /**
+   * Wait for web fonts (including KaTeX fonts) to load
+   */
+  async waitForFonts() {
+    await this.page.evaluate(() => document.fonts.ready.then(() => {}));
+  }
+
+  /**
+   * Wait for the client-side renderers of Docusaurus plugins: no element
+   * matches selectors.readiness.pending, and MathJax finished typesetting
+   */
+  async waitForPlugins() {
+    await this.page.evaluate(async () => {
+      if (window.MathJax?.startup?.promise) {
+        await window.MathJax.startup.promise;
+      }
+    });
+    if (this.selectors.pending) {
+      await this.page.waitForFunction(
+        (selector) => !document.querySelector(selector),
+        this.selectors.pending,
+        { polling: 100, timeout: this.config.timeouts.readiness }
+      );
+    }
+  }
+
+  /**
+   * Wait for live code blocks to render their result. Until the browser-only
+   * preview mounts, the pane is empty or shows a "Loading..." placeholder.
+   */
+  async waitForLiveCodeBlocks() {
+    if (!this.selectors.livePreview) {
+      return;
+    }
+    await this.page.waitForFunction(
+      (selector) =>
+        Array.from(document.querySelectorAll(selector)).every((preview) => {
+          const first = preview.firstElementChild;
+          return (
+            first &&
+            !(
+              first.childElementCount === 0 &&
+              first.textContent.trim() === "Loading..."
+            )
+          );
+        }),
+      this.selectors.livePreview,
+      { polling: 100, timeout: this.config.timeouts.readiness }
+    );
+  }
+
+  /**
+   * Wait until the page stops changing for readiness.settleTime
+   */
+  async waitForSettled() {
+    await this.page.evaluate((settleTime) => {
+      return new Promise((resolve) => {
+        let timer = setTimeout(done, settleTime);
+        const observer = new MutationObserver(() => {
+          clearTimeout(timer);
+          timer = setTimeout(done, settleTime);
+        });
+        function done() {
+          observer.disconnect();
+          resolve();
+        }
+        observer.observe(document.body, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          characterData: true,
+        });
+      });
+    }, this.options.settleTime);
+  }
+
+  /**
+   * Run a readiness step, giving up when the deadline passes
+   * @param {Promise} step - Running step
+   * @param {number} remaining - Time left before the deadline, in ms
+   * @returns {Promise<boolean>} False if the deadline passed
+   */
+  async runWithDeadline(step, remaining) {
+    let timer = null;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), Math.max(remaining, 0));
+    });
+    try {
+      return await Promise.race([step.then(() => true), deadline]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Wait for the current page to be ready for printing. All steps together
+   * are bounded by timeouts.readiness; past it, the page is printed as it is.
+   * @param {string} url - Page URL, for messages and hooks
+   */
+  async waitUntilReady(url) {
+    if (!this.options.enabled) {
+      return;
+    }
+
+    const steps = [
+      ["scroll", this.options.scroll && (() => this.scrollThrough())],
+      ["images", () => this.waitForImages()],
+      ["fonts", () => this.waitForFonts()],
+      ["plugins", () => this.waitForPlugins()],
+      ["live code", () => this.waitForLiveCodeBlocks()],
+      // Site-specific widgets, e.g. (page) => page.waitForSelector(".chart svg")
+      ...this.options.hooks.map((hook, i) => [
+        `hook ${i + 1}`,
+        () => hook(this.page, { url, config: this.config }),
+      ]),
+      ["settle", () => this.waitForSettled()],
+    ];
+
+    const deadline = Date.now() + this.config.timeouts.readiness;
+    for (const [name, run] of steps) {
+      if (!run) continue;
+      try {
+        const done = await this.runWithDeadline(
+          Promise.resolve().then(run),
+          deadline - Date.now()
+        );
+        if (!done) {
+          warn(
+            `Timed out after ${this.config.timeouts.readiness}ms waiting for ${url} to be ready (${name}), printing it as is`
+          );
+          return;
+        }
+        debug(`Ready (${name}): ${url}`);
+      } catch (err) {
+        warn(`Readiness check "${name}" failed for ${url}:`, err.message);
+      }
+    }
+  }
+}
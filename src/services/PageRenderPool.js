@@ -0,0 +1,320 @@
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { PdfExporter } from "./PdfExporter.js";
+import { PageCache } from "./PageCache.js";
+import { ExportAbortedError, PdfExportError } from "../utils/errors.js";
+import { getPageExtension } from "../utils/outputFormat.js";
+import { info, warn, debug, withLogContext } from "../utils/logger.js";
+
+/**
+ * Service rendering pages to PDF with a pool of browser pages working in parallel
+ */
+export class PageRenderPool {
+  /**
+   * @param {import('playwright').BrowserContext} context - Browser context to open worker pages in
+   * @param {object} config - Export configuration
+   * @param {import('./ExportReport.js').ExportReport|null} report - Report to record each page in
+   * @param {import('./RunManifest.js').RunManifest|null} manifest - Progress of the run, to resume from and record in
+   * @param {import('events').EventEmitter|null} emitter - Emitter of the pageStart, pageDone, pageSkipped and pageFailed events
+   * @param {AbortSignal|null} signal - Signal stopping the workers
+   */
+  constructor(
+    context,
+    config,
+    report = null,
+    manifest = null,
+    emitter = null,
+    signal = null
+  ) {
+    this.context = context;
+    this.config = config;
+    this.report = report;
+    this.manifest = manifest;
+    this.emitter = emitter;
+    this.signal = signal;
+    this.workers = [];
+    this.cache = config.cache.enabled ? new PageCache(config) : null;
+  }
+
+  /**
+   * Open a fresh browser page for a worker
+   * @param {{id: number}} worker - Worker to (re)initialize
+   */
+  async openWorkerPage(worker) {
+    worker.page = await this.context.newPage();
+    worker.exporter = new PdfExporter(worker.page, this.config, this.cache);
+  }
+
+  /**
+   * Open the worker pages
+   * @param {number} count - Number of workers
+   */
+  async open(count) {
+    for (let id = 1; id <= count; id++) {
+      const worker = { id };
+      await this.openWorkerPage(worker);
+      this.workers.push(worker);
+    }
+    debug(`Opened ${count} render workers`);
+  }
+
+  /**
+   * Close the worker pages
+   */
+  async close() {
+    for (const worker of this.workers) {
+      await worker.page.close().catch(() => {});
+    }
+    this.workers = [];
+  }
+
+  /**
+   * Export a page, failing if it takes longer than timeouts.pageExport.
+   * A timed out page is replaced so that the worker can go on.
+   * @param {object} worker - Worker to use
+   * @param {{url: string, categories: string[]}} link - Link entry of the page to export
+   * @param {string} outputPath - Path where to save the PDF
+   * @param {string} baseUrl - Base URL for link replacement
+   * @returns {Promise<object>} Export result, or {url, skipped} if the page was skipped
+   */
+  async exportWithTimeout(worker, link, outputPath, baseUrl) {
+    const { url, categories } = link;
+    const timeout = this.config.timeouts.pageExport;
+    let timer = null;
+    let didTimeOut = false;
+    const timedOut = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        didTimeOut = true;
+        reject(
+          new PdfExportError(`Timed out after ${timeout}ms exporting ${url}`)
+        );
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([
+        worker.exporter.exportPage(url, outputPath, baseUrl, categories),
+        timedOut,
+      ]);
+    } catch (err) {
+      if (didTimeOut) {
+        const stuckPage = worker.page;
+        await this.openWorkerPage(worker);
+        stuckPage.close().catch(() => {});
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Export a page, retrying failures up to retry.maxAttempts times with an
+   * exponential backoff
+   * @param {object} worker - Worker to use
+   * @param {{url: string, categories: string[]}} link - Link entry of the page to export
+   * @param {string} outputPath - Path where to save the PDF
+   * @param {string} baseUrl - Base URL for link replacement
+   * @returns {Promise<{result: object, attempts: number}>} Export result and number of attempts
+   * @throws {Error} The error of the last attempt, with an `attempts` property
+   */
+  async exportWithRetry(worker, link, outputPath, baseUrl) {
+    const { backoff, backoffFactor, maxBackoff } = this.config.retry;
+    const maxAttempts = Math.max(1, this.config.retry.maxAttempts);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.exportWithTimeout(
+          worker,
+          link,
+          outputPath,
+          baseUrl
+        );
+        return { result, attempts: attempt };
+      } catch (err) {
+        // An aborted export closes the browser, retrying would fail again
+        if (attempt >= maxAttempts || this.signal?.aborted) {
+          err.attempts = attempt;
+          throw err;
+        }
+        const delay = Math.min(
+          backoff * backoffFactor ** (attempt - 1),
+          maxBackoff
+        );
+        warn(
+          `[worker ${worker.id}] Attempt ${attempt}/${maxAttempts} failed for ${link.url}, retrying in ${delay}ms:`,
+          err.message
+        );
+        await sleep(delay, undefined, { signal: this.signal }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Emit the event of a processed page
+   * @param {number} index - Index of the page in the links
+   * @param {{url: string, title: string}} link - Link entry of the page
+   * @param {object} outcome - Outcome of the page
+   * @param {number} completed - Number of pages processed so far
+   * @param {number} total - Number of pages to process
+   */
+  emitOutcome(index, link, outcome, completed, total) {
+    if (!this.emitter) return;
+    const { status, error, ...details } = outcome;
+    const event = error
+      ? "pageFailed"
+      : status === "skipped"
+      ? "pageSkipped"
+      : "pageDone";
+    this.emitter.emit(event, {
+      index,
+      url: link.url,
+      title: link.title,
+      completed,
+      total,
+      ...details,
+      ...(error && { error }),
+    });
+  }
+
+  /**
+   * Export multiple pages to PDF files, keeping the order of the links.
+   * Pages recorded by an interrupted run are reused without rendering them.
+   * Once the signal is aborted, workers stop taking new pages.
+   * @param {Array<{url: string, title: string, categories: string[]}>} links - Link entries to export
+   * @param {string} outputDir - Directory where to save the PDF (or captured HTML) files
+   * @param {string} baseUrl - Base URL for link replacement
+   * @returns {Promise<Array<{path: string, headings: Array, links: Array, url: string, title: string, categories: string[], tags: string[], pageIndex: number}>>} Array of export metadata
+   * @throws {ExportAbortedError} If the signal was aborted
+   */
+  async exportPages(links, outputDir, baseUrl) {
+    const results = new Array(links.length).fill(null);
+    const outcomes = new Array(links.length).fill(null);
+    const concurrency = Math.max(
+      1,
+      Math.min(this.config.concurrency, links.length)
+    );
+    const pageExtension = getPageExtension(this.config.output.format);
+    let nextIndex = 0;
+    let completed = 0;
+
+    await this.open(concurrency);
+    info(`Exporting ${links.length} pages with ${concurrency} worker(s)`);
+
+    const runWorker = async (worker) => {
+      while (nextIndex < links.length && !this.signal?.aborted) {
+        const i = nextIndex++;
+        const { url, title, categories } = links[i];
+        const outputPath = path.join(outputDir, `${i}${pageExtension}`);
+        const startedAt = Date.now();
+        this.emitter?.emit("pageStart", {
+          index: i,
+          url,
+          title,
+          total: links.length,
+        });
+
+        // Messages logged while exporting the page carry its URL
+        await withLogContext({ url }, async () => {
+          try {
+            let result = this.manifest?.getPage(outputPath, url);
+            let attempts = 0;
+            if (result) {
+              info(`Reusing page from the interrupted run: ${url}`);
+            } else {
+              ({ result, attempts } = await this.exportWithRetry(
+                worker,
+                links[i],
+                outputPath,
+                baseUrl
+              ));
+              this.manifest?.recordPage(outputPath, result);
+            }
+            const durationMs = Date.now() - startedAt;
+            if (result.skipped) {
+              outcomes[i] = {
+                status: "skipped",
+                reason: result.skipped,
+                filtered: Boolean(result.filtered),
+                attempts,
+                durationMs,
+              };
+            } else {
+              outcomes[i] = {
+                status: "exported",
+                cached: Boolean(result.cached),
+                resumed: attempts === 0,
+                attempts,
+                durationMs,
+              };
+              results[i] = {
+                path: result.path,
+                headings: result.headings,
+                links: result.links,
+                url: result.url,
+                title: result.title || title,
+                categories,
+                tags: result.tags,
+              };
+            }
+          } catch (err) {
+            warn(
+              `[worker ${worker.id}] Failed to export page ${i} (${url}):`,
+              err.message
+            );
+            outcomes[i] = {
+              error: err,
+              attempts: err.attempts,
+              durationMs: Date.now() - startedAt,
+            };
+            // Continue with next page instead of failing completely
+          }
+
+          completed++;
+          info(
+            `[worker ${worker.id}] ${completed}/${links.length} pages processed`
+          );
+          this.emitOutcome(i, links[i], outcomes[i], completed, links.length);
+        });
+      }
+    };
+
+    try {
+      await Promise.all(this.workers.map(runWorker));
+    } finally {
+      await this.close();
+    }
+
+    // Record outcomes in link order, whatever order the workers finished in
+    if (this.report) {
+      outcomes.forEach((outcome, i) => {
+        if (!outcome) return;
+        const { url, title } = links[i];
+        if (outcome.error) {
+          const { error, ...record } = outcome;
+          this.report.recordFailed(url, error, { title, ...record });
+        } else {
+          this.report.recordPage(url, { title, ...outcome });
+        }
+      });
+    }
+
+    if (this.cache) {
+      info(
+        `Cache: ${this.cache.hits} page(s) reused, ${this.cache.misses} rendered`
+      );
+    }
+
+    if (this.signal?.aborted) {
+      throw new ExportAbortedError(
+        `Export aborted after ${completed}/${links.length} pages`,
+        this.signal.reason
+      );
+    }
+
+    // Merge order follows the link order, whatever order the workers finished in
+    return results
+      .filter(Boolean)
+      .map((result, pageIndex) => ({ ...result, pageIndex }));
+  }
+}
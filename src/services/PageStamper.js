@@ -0,0 +1,155 @@
+import { StandardFonts, rgb } from "pdf-lib";
+import { info, warn } from "../utils/logger.js";
+import { getPageLayout } from "../utils/pageLayout.js";
+import { toPoints } from "../utils/units.js";
+
+/**
+ * Service stamping headers, footers and page numbers on the merged document,
+ * so that numbering runs across the whole PDF rather than per source file
+ */
+export class PageStamper {
+  /**
+   * @param {import('pdf-lib').PDFDocument} pdfDoc - Merged PDF document
+   * @param {object} config - Export configuration
+   */
+  constructor(pdfDoc, config) {
+    this.pdfDoc = pdfDoc;
+    this.config = config;
+    this.options = config.headerFooter;
+    this.layout = getPageLayout(config.pdf);
+    this.font = null;
+    this.replacedChars = new Set();
+  }
+
+  /**
+   * Parse a #rrggbb color
+   * @param {string} hex - Color in hex notation
+   * @returns {import('pdf-lib').RGB} pdf-lib color
+   */
+  parseColor(hex) {
+    const value = parseInt(String(hex).replace("#", ""), 16) || 0;
+    return rgb(
+      ((value >> 16) & 255) / 255,
+      ((value >> 8) & 255) / 255,
+      (value & 255) / 255
+    );
+  }
+
+  /**
+   * Replace characters the standard font cannot encode, remembering them
+   * for the warning logged once the document is stamped
+   * @param {string} text - Text to draw
+   * @returns {string} Drawable text
+   */
+  sanitize(text) {
+    return Array.from(text)
+      .map((char) => {
+        try {
+          this.font.encodeText(char);
+          return char;
+        } catch (err) {
+          this.replacedChars.add(char);
+          return "?";
+        }
+      })
+      .join("");
+  }
+
+  /**
+   * Fill a header/footer template ({{page}}, {{pages}}, {{title}}, ...)
+   * @param {string} template - Template text
+   * @param {object} values - Values by placeholder name
+   * @returns {string} Text to draw
+   */
+  fill(template, values) {
+    return this.sanitize(
+      String(template || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) =>
+        String(values[key] ?? "")
+      )
+    ).trim();
+  }
+
+  /**
+   * Draw the left, center and right slots of a header or footer line
+   * @param {import('pdf-lib').PDFPage} page - Page to stamp
+   * @param {{left: string, center: string, right: string}} slots - Slot templates
+   * @param {number} y - Baseline of the line
+   * @param {object} values - Template values
+   */
+  drawLine(page, slots, y, values) {
+    const { fontSize } = this.options;
+    const color = this.parseColor(this.options.color);
+    const marginLeft = toPoints(this.layout.margins.left);
+    const marginRight = toPoints(this.layout.margins.right);
+    const width = page.getWidth();
+
+    for (const align of ["left", "center", "right"]) {
+      const text = this.fill(slots[align], values);
+      if (!text) {
+        continue;
+      }
+      const textWidth = this.font.widthOfTextAtSize(text, fontSize);
+      let x;
+      if (align === "left") {
+        x = marginLeft;
+      } else if (align === "center") {
+        x = (width - textWidth) / 2;
+      } else {
+        x = width - marginRight - textWidth;
+      }
+      page.drawText(text, { x, y, size: fontSize, font: this.font, color });
+    }
+  }
+
+  /**
+   * Stamp every page of the document
+   * @param {Array<{section: string, pageTitle: string}|null>} pageInfos - Details per final page, null for front matter
+   * @param {{title: string, version: string}} documentInfo - Document-wide values
+   */
+  async stamp(pageInfos, documentInfo) {
+    this.font = await this.pdfDoc.embedFont(StandardFonts.Helvetica);
+    this.replacedChars.clear();
+    const pages = this.pdfDoc.getPages();
+    const { fontSize, offset, stampFrontMatter, header, footer } = this.options;
+    let stamped = 0;
+
+    pages.forEach((page, i) => {
+      const pageInfo = pageInfos[i];
+      if (!pageInfo && !stampFrontMatter) {
+        return;
+      }
+
+      const values = {
+        title: documentInfo.title || "",
+        version: documentInfo.version || "",
+        date: new Date().toISOString().split("T")[0],
+        section: pageInfo?.section || "",
+        pageTitle: pageInfo?.pageTitle || "",
+        page: i + 1,
+        pages: pages.length,
+      };
+
+      // Lines sit in the middle of the page margins, at least `offset` from the edge
+      const headerY =
+        page.getHeight() -
+        Math.max(toPoints(this.layout.margins.top) / 2, offset) -
+        fontSize / 2;
+      const footerY =
+        Math.max(toPoints(this.layout.margins.bottom) / 2, offset) -
+        fontSize / 2;
+
+      this.drawLine(page, header, headerY, values);
+      this.drawLine(page, footer, footerY, values);
+      stamped++;
+    });
+
+    info(`Stamped headers and footers on ${stamped} pages`);
+    if (this.replacedChars.size > 0) {
+      warn(
+        `Headers and footers use characters the standard PDF font cannot draw, printed as "?": ${[
+          ...this.replacedChars,
+        ].join(" ")}`
+      );
+    }
+  }
+}
@@ -1,17 +1,34 @@
+import fs from "fs";
 import { PdfExportError } from "../utils/errors.js";
+import { readTextFiles } from "../utils/fileSystem.js";
 import { info, warn, debug } from "../utils/logger.js";
-import path from "path";
+import { getPageLayout } from "../utils/pageLayout.js";
+import { MARKER_PREFIX } from "../utils/markers.js";
+import { capturesHtml } from "../utils/outputFormat.js";
+import { PageFilter } from "./PageFilter.js";
+import { PageReadiness } from "./PageReadiness.js";
 
 /**
  * Service for exporting individual pages to PDF
  */
 export class PdfExporter {
-  constructor(page, config) {
+  /**
+   * @param {import('playwright').Page} page - Browser page to render with
+   * @param {object} config - Export configuration
+   * @param {import('./PageCache.js').PageCache|null} cache - Cache of rendered pages
+   */
+  constructor(page, config, cache = null) {
     this.page = page;
     this.config = config;
     this.selectors = config.selectors.content;
     this.pdfConfig = config.pdf;
+    this.layout = getPageLayout(config.pdf);
     this.timeouts = config.timeouts;
+    this.filter = new PageFilter(config.filters);
+    this.readiness = new PageReadiness(page, config);
+    this.cache = cache;
+    this.injectedStyles = readTextFiles(config.inject.css, "stylesheet");
+    this.injectedScripts = readTextFiles(config.inject.scripts, "script");
   }
 
   /**
@@ -35,6 +52,44 @@ export class PdfExporter {
     }
   }
 
+  /**
+   * Read the front-matter tags listed on the current page
+   * @returns {Promise<string[]>} Tag labels
+   */
+  async readTags() {
+    try {
+      return await this.page.evaluate(
+        (selector) =>
+          Array.from(document.querySelectorAll(selector))
+            .map((tag) => tag.textContent.trim())
+            .filter(Boolean),
+        this.selectors.tags
+      );
+    } catch (err) {
+      debug("Failed to read page tags:", err.message);
+      return [];
+    }
+  }
+
+  /**
+   * Read the content that determines the rendered PDF: the body without
+   * scripts, whose bundle names change with any edit of the site, and the
+   * stylesheets
+   * @returns {Promise<string>} Page content
+   */
+  async readContent() {
+    return await this.page.evaluate(() => {
+      const body = document.body.cloneNode(true);
+      body
+        .querySelectorAll("script, noscript")
+        .forEach((element) => element.remove());
+      const styles = Array.from(
+        document.querySelectorAll('link[rel="stylesheet"], style')
+      ).map((element) => element.getAttribute("href") || element.textContent);
+      return `${styles.join("\n")}\n${body.innerHTML}`;
+    });
+  }
+
   /**
    * Calculate the page height for PDF export
    * @returns {Promise<number>} Page height in pixels
@@ -52,6 +107,29 @@ export class PdfExporter {
     }
   }
 
+  /**
+   * Lay the page out as it will be printed, so that the measured height matches the PDF
+   */
+  async applyPrintLayout() {
+    await this.page.emulateMedia({ media: "print" });
+    await this.page.setViewportSize({
+      width: Math.round(this.layout.printableWidth),
+      height: this.config.viewport.height,
+    });
+  }
+
+  /**
+   * Restore the screen layout used for navigation
+   */
+  async restoreScreenLayout() {
+    try {
+      await this.page.emulateMedia({ media: null });
+      await this.page.setViewportSize(this.config.viewport);
+    } catch (err) {
+      debug("Failed to restore screen layout:", err.message);
+    }
+  }
+
   /**
    * Apply custom styles to the page before export
    */
@@ -60,6 +138,15 @@ export class PdfExporter {
       await this.page.addStyleTag({
         content: this.config.styles.columnFix,
       });
+      if (this.layout.paginated) {
+        await this.page.addStyleTag({
+          content: this.config.styles.paginated,
+        });
+      }
+      // User stylesheets come last, to override the built-in rules
+      for (const { content } of this.injectedStyles) {
+        await this.page.addStyleTag({ content });
+      }
       await this.page.waitForTimeout(200);
     } catch (err) {
       warn("Failed to apply custom styles:", err.message);
@@ -67,75 +154,225 @@ export class PdfExporter {
   }
 
   /**
-   * Replace internal links (localhost) - remove href to prevent broken links in PDF
+   * Run the inject.scripts files in the page, in order
+   * @throws {Error} If a script fails
+   */
+  async runInjectedScripts() {
+    for (const { file, content } of this.injectedScripts) {
+      try {
+        await this.page.evaluate(content);
+      } catch (err) {
+        throw new Error(`Injected script ${file} failed: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Call a hook from the hooks configuration, if set
+   * @param {string} name - Hook name
+   * @param {object} metadata - Metadata passed to the hook with the page
+   * @returns {Promise<*>} Value returned by the hook
+   */
+  async runHook(name, metadata) {
+    const hook = this.config.hooks[name];
+    if (!hook) {
+      return undefined;
+    }
+    try {
+      return await hook(this.page, { ...metadata, config: this.config });
+    } catch (err) {
+      throw new Error(`${name} hook failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Reveal the content hidden behind interactive widgets, as configured in
+   * `expand`: open <details> blocks, show every tab panel under its label,
+   * and unfold scrollable code blocks
+   */
+  async expandContent() {
+    const { details, tabs, codeBlocks } = this.config.expand;
+    if (!details && !tabs && !codeBlocks) {
+      return;
+    }
+    try {
+      await this.page.evaluate(
+        ({ options, selectors }) => {
+          if (options.details) {
+            document.querySelectorAll(selectors.details).forEach((element) => {
+              element.open = true;
+              element.setAttribute("data-collapsed", "false");
+              // The Docusaurus Details component hides its content with inline styles
+              element
+                .querySelectorAll(":scope > div[style]")
+                .forEach((content) => {
+                  content.style.removeProperty("display");
+                  content.style.removeProperty("height");
+                  content.style.removeProperty("overflow");
+                });
+            });
+          }
+
+          if (options.tabs) {
+            document.querySelectorAll(selectors.tabs).forEach((container) => {
+              // Leave out the tabs and panels of nested tab containers
+              const own = (selector) =>
+                Array.from(container.querySelectorAll(selector)).filter(
+                  (element) => element.closest(selectors.tabs) === container
+                );
+              const labels = own(selectors.tab).map((tab) =>
+                tab.textContent.trim()
+              );
+              own(selectors.tabPanel).forEach((panel, i) => {
+                panel.hidden = false;
+                panel.style.removeProperty("display");
+                if (labels[i]) {
+                  const label = document.createElement("p");
+                  label.className = "docexport-tab-label";
+                  label.style.fontWeight = "bold";
+                  label.style.marginBottom = "0.5em";
+                  label.textContent = labels[i];
+                  panel.before(label);
+                }
+              });
+              own(selectors.tabList).forEach((list) => {
+                list.style.display = "none";
+              });
+            });
+          }
+
+          if (options.codeBlocks) {
+            document
+              .querySelectorAll(selectors.codeBlock)
+              .forEach((element) => {
+                element.style.maxHeight = "none";
+                element.style.overflow = "visible";
+              });
+          }
+        },
+        { options: this.config.expand, selectors: this.config.selectors.expand }
+      );
+    } catch (err) {
+      warn("Failed to expand hidden content:", err.message);
+    }
+  }
+
+  /**
+   * Replace internal links (localhost). With links.rewriteInternal, each link
+   * points to a marker so that the merger can turn it into a cross-reference;
+   * otherwise the href is removed to prevent broken links in PDF
    * @param {string} baseUrl - Base URL to identify internal links
+   * @returns {Promise<Array<{target: string}>>} Internal links, indexed like their markers
    */
   async replaceInternalLinks(baseUrl) {
     try {
-      await this.page.evaluate((baseUrl) => {
-        // Select all links in the document (not just in article, to catch "edit this page" buttons)
-        const links = document.querySelectorAll("a[href]");
-        links.forEach((link) => {
-          const href = link.getAttribute("href");
-          if (!href) return;
-
-          try {
-            // Check if it's a localhost link (any localhost variant)
-            const isLocalhost =
-              href.includes("localhost") ||
-              href.includes("127.0.0.1") ||
-              href.includes("git.localhost") ||
-              href.startsWith(baseUrl) ||
-              href.startsWith("/") ||
-              (!href.startsWith("http") &&
-                !href.startsWith("mailto:") &&
-                !href.startsWith("#") &&
-                !href.startsWith("javascript:"));
-
-            if (isLocalhost) {
-              // Remove localhost/internal links - they won't work in PDF anyway
-              // Keep the text but remove the link functionality
+      return await this.page.evaluate(
+        ({ baseUrl, markerPrefix, rewrite }) => {
+          const internalLinks = [];
+
+          // Select all links in the document (not just in article, to catch "edit this page" buttons)
+          const links = document.querySelectorAll("a[href]");
+          links.forEach((link) => {
+            const href = link.getAttribute("href");
+            if (!href || href.startsWith(markerPrefix)) return;
+
+            try {
+              // Check if it's a localhost link (any localhost variant)
+              const isLocalhost =
+                href.includes("localhost") ||
+                href.includes("127.0.0.1") ||
+                href.includes("git.localhost") ||
+                href.startsWith(baseUrl) ||
+                href.startsWith("/") ||
+                href.startsWith("#") ||
+                (!href.startsWith("http") &&
+                  !href.startsWith("mailto:") &&
+                  !href.startsWith("javascript:"));
+
+              if (!isLocalhost) return;
+
+              if (rewrite) {
+                const target = new URL(href, document.baseURI).href;
+                link.setAttribute(
+                  "href",
+                  `${markerPrefix}link/${internalLinks.length}`
+                );
+                internalLinks.push({ target });
+              } else {
+                // Keep the text but remove the link functionality
+                link.removeAttribute("href");
+                link.style.cursor = "default";
+                link.style.textDecoration = "none";
+                link.style.color = "inherit";
+              }
+            } catch (err) {
+              // If URL parsing fails, just remove the href
               link.removeAttribute("href");
-              link.style.cursor = "default";
-              link.style.textDecoration = "none";
-              link.style.color = "inherit";
             }
-          } catch (err) {
-            // If URL parsing fails, just remove the href
-            link.removeAttribute("href");
-          }
-        });
-      }, baseUrl);
+          });
+
+          return internalLinks;
+        },
+        {
+          baseUrl,
+          markerPrefix: MARKER_PREFIX,
+          rewrite: this.config.links.rewriteInternal,
+        }
+      );
     } catch (err) {
       warn("Failed to replace internal links:", err.message);
+      return [];
     }
   }
 
   /**
-   * Extract headings (h1-h6) from the current page
-   * @returns {Promise<Array<{level: number, text: string, id: string}>>} Array of headings with their level and text
+   * Extract headings (h1-h6) from the current page and wrap each one in a
+   * marker link, so that the merger can find its exact position in the PDF
+   * @returns {Promise<Array<{level: number, text: string, id: string}>>} Array of headings with their level and text, indexed like their markers
    */
   async extractHeadings() {
     try {
-      const headings = await this.page.evaluate(() => {
-        const headingElements = document.querySelectorAll(
-          "article h1, article h2, article h3, article h4, article h5, article h6"
-        );
-        const result = [];
+      const headings = await this.page.evaluate(
+        ({ hashLinkSelector, markerPrefix }) => {
+          const headingElements = document.querySelectorAll(
+            "article h1, article h2, article h3, article h4, article h5, article h6"
+          );
+          const result = [];
+
+          headingElements.forEach((heading) => {
+            const tagName = heading.tagName.toLowerCase();
+            const level = parseInt(tagName.charAt(1)); // Extract number from h1, h2, etc.
+            const text = heading.textContent.replace(/\u200b/g, "").trim();
+            const id = heading.id || heading.getAttribute("name") || "";
 
-        headingElements.forEach((heading) => {
-          const tagName = heading.tagName.toLowerCase();
-          const level = parseInt(tagName.charAt(1)); // Extract number from h1, h2, etc.
-          const text = heading.textContent.trim();
-          const id = heading.id || heading.getAttribute("name") || "";
+            // Hidden headings (e.g. inactive tabs) are not printed
+            if (!text || heading.getClientRects().length === 0) return;
+
+            // Permalink anchors are invisible in print
+            heading
+              .querySelectorAll(hashLinkSelector)
+              .forEach((hashLink) => hashLink.remove());
+
+            const marker = document.createElement("a");
+            marker.setAttribute(
+              "href",
+              `${markerPrefix}heading/${result.length}`
+            );
+            marker.style.color = "inherit";
+            marker.style.textDecoration = "none";
+            marker.append(...heading.childNodes);
+            heading.append(marker);
 
-          if (text) {
             result.push({ level, text, id });
-          }
-        });
+          });
 
-        return result;
-      });
+          return result;
+        },
+        {
+          hashLinkSelector: this.selectors.hashLink,
+          markerPrefix: MARKER_PREFIX,
+        }
+      );
 
       return headings;
     } catch (err) {
@@ -144,92 +381,189 @@ export class PdfExporter {
     }
   }
 
+  /**
+   * Capture the content of the page for the HTML and EPUB outputs, as XHTML.
+   * Heading markers are unwrapped, link markers are kept for the writers to
+   * resolve, images are inlined as data URLs and other URLs made absolute.
+   * @returns {Promise<string>} XHTML fragment
+   */
+  async captureContent() {
+    return await this.page.evaluate(
+      async ({ selector, markerPrefix }) => {
+        const root =
+          document.querySelector(selector) ||
+          document.querySelector("article") ||
+          document.body;
+        const content = root.cloneNode(true);
+        const originals = Array.from(root.querySelectorAll("img"));
+
+        content
+          .querySelectorAll("script, noscript, button")
+          .forEach((element) => element.remove());
+        content
+          .querySelectorAll(`a[href^="${markerPrefix}heading/"]`)
+          .forEach((marker) => marker.replaceWith(...marker.childNodes));
+
+        const toDataUrl = async (src) => {
+          const blob = await (await fetch(src)).blob();
+          return await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+          });
+        };
+        // Clones keep the document order, so copies match their originals
+        const images = Array.from(content.querySelectorAll("img"));
+        await Promise.all(
+          images.map(async (img, i) => {
+            const src = originals[i]?.currentSrc || originals[i]?.src;
+            img.removeAttribute("srcset");
+            img.removeAttribute("loading");
+            if (!src) return;
+            try {
+              img.setAttribute("src", await toDataUrl(src));
+            } catch (err) {
+              // Cross-origin images without CORS stay remote
+              img.setAttribute("src", src);
+            }
+          })
+        );
+
+        content.querySelectorAll("[href], [src]").forEach((element) => {
+          for (const name of ["href", "src"]) {
+            const value = element.getAttribute(name);
+            if (
+              value &&
+              !/^(data:|#)/.test(value) &&
+              !value.startsWith(markerPrefix)
+            ) {
+              element.setAttribute(name, new URL(value, document.baseURI).href);
+            }
+          }
+        });
+
+        return new XMLSerializer().serializeToString(content);
+      },
+      { selector: this.selectors.markdown, markerPrefix: MARKER_PREFIX }
+    );
+  }
+
+  /**
+   * Build the page.pdf() size options for the configured layout
+   * @returns {Promise<{width: string, height: string}>} Page size
+   */
+  async getPageSize() {
+    if (this.layout.paginated) {
+      return { width: this.layout.width, height: this.layout.height };
+    }
+    const height = await this.calculatePageHeight();
+    return { width: this.layout.width, height: `${height}px` };
+  }
+
   /**
    * Export a single page to PDF
    * @param {string} url - URL of the page to export
    * @param {string} outputPath - Path where to save the PDF
    * @param {string} baseUrl - Base URL for link replacement
-   * @returns {Promise<{path: string, headings: Array}>} Object with path and extracted headings
+   * @param {string[]} categories - Sidebar categories of the page, for tag filters
+   * @returns {Promise<{path: string, headings: Array, links: Array, url: string, title: string, tags: string[]}|{url: string, skipped: string, filtered?: boolean}>} Object with path, title, tags, extracted headings and internal links, or the reason the page was skipped
    */
-  async exportPage(url, outputPath, baseUrl) {
+  async exportPage(url, outputPath, baseUrl, categories = []) {
     try {
       info(`Exporting page: ${url}`);
       await this.page.goto(url, { waitUntil: "networkidle" });
       debug(`Page loaded: ${url}`);
 
+      // Mermaid diagrams, lazy images and fonts render after the load
+      await this.readiness.waitUntilReady(url);
+
+      // Fingerprint the page before it is modified for printing
+      const cacheKey = this.cache
+        ? this.cache.getKey(url, await this.readContent())
+        : null;
+
       // Apply custom styles
       await this.applyCustomStyles();
 
-      // Replace internal links before export
-      if (baseUrl) {
-        await this.replaceInternalLinks(baseUrl);
-      }
-
       // Check if this is a doc list page (skip it)
       const shouldSkip = await this.isDocListPage();
       if (shouldSkip) {
         warn(`Skipping export for ${url} (documentation list page)`);
-        return null;
+        return { url, skipped: "Documentation list page" };
       }
 
-      // Extract headings before export
-      const headings = await this.extractHeadings();
+      // Tag filters can only be applied once the page is loaded
+      const tags = await this.readTags();
+      if (!this.filter.isSelected({ url, categories }, tags)) {
+        info(`Skipping export for ${url} (excluded by tag filters)`);
+        return { url, skipped: "Excluded by tag filters", filtered: true };
+      }
+
+      const cached = cacheKey && this.cache.get(cacheKey, url);
+      if (cached) {
+        info(`Reusing cached export: ${url}`);
+        // Both hooks run, so that they stay paired, but nothing is printed in between
+        await this.runHook("beforePage", {
+          url,
+          categories,
+          tags,
+          outputPath: cached.path,
+          cached: true,
+        });
+        await this.runHook("afterPage", { ...cached, categories });
+        return cached;
+      }
 
-      // Calculate page height
-      const height = await this.calculatePageHeight();
-
-      // Export to PDF
-      await this.page.pdf({
-        path: outputPath,
-        width: this.pdfConfig.width,
-        height: `${height}px`,
-        margin: this.pdfConfig.margins,
-        preferCSSPageSize: this.pdfConfig.preferCSSPageSize,
-        printBackground: this.pdfConfig.printBackground,
-        tagged: this.pdfConfig.tagged,
+      // Hidden tabs and details would be missing from the PDF and its outline
+      await this.expandContent();
+
+      // User setup, e.g. hiding banners, before the page content is read
+      await this.runInjectedScripts();
+      await this.runHook("beforePage", {
+        url,
+        categories,
+        tags,
+        outputPath,
+        cached: false,
       });
 
-      info(`Successfully exported: ${url}`);
-      return { path: outputPath, headings, url };
-    } catch (err) {
-      throw new PdfExportError(`Failed to export page ${url}`, err);
-    }
-  }
+      // Mark headings and internal links so the merger can locate them
+      const headings = await this.extractHeadings();
+      const title = headings.find((heading) => heading.level === 1)?.text;
+      const links = baseUrl ? await this.replaceInternalLinks(baseUrl) : [];
 
-  /**
-   * Export multiple pages to PDF files
-   * @param {string[]} urls - Array of URLs to export
-   * @param {string} outputDir - Directory where to save the PDF files
-   * @param {string} baseUrl - Base URL for link replacement
-   * @returns {Promise<Array<{path: string, headings: Array, url: string, pageIndex: number}>>} Array of export metadata
-   */
-  async exportPages(urls, outputDir, baseUrl) {
-    const exportedFiles = [];
-    let currentPageIndex = 0;
+      if (capturesHtml(this.config.output.format)) {
+        // HTML and EPUB outputs are built from the content, not a printed page
+        fs.writeFileSync(outputPath, await this.captureContent());
+      } else {
+        // Measure the page in the print layout
+        await this.applyPrintLayout();
+        const { width, height } = await this.getPageSize();
 
-    for (let i = 0; i < urls.length; i++) {
-      const url = urls[i];
-      const fileName = `${i}.pdf`;
-      const outputPath = path.join(outputDir, fileName);
+        // Export to PDF
+        await this.page.pdf({
+          path: outputPath,
+          width,
+          height,
+          margin: this.layout.margins,
+          preferCSSPageSize: this.pdfConfig.preferCSSPageSize,
+          printBackground: this.pdfConfig.printBackground,
+          tagged: this.pdfConfig.tagged,
+        });
+      }
 
-      try {
-        const result = await this.exportPage(url, outputPath, baseUrl);
-        if (result) {
-          exportedFiles.push({
-            path: result.path,
-            headings: result.headings,
-            url: result.url,
-            pageIndex: currentPageIndex,
-          });
-          currentPageIndex++;
-        }
-      } catch (err) {
-        warn(`Failed to export page ${i} (${url}):`, err.message);
-        // Continue with next page instead of failing completely
-        continue;
+      info(`Successfully exported: ${url}`);
+      const result = { path: outputPath, headings, links, url, title, tags };
+      if (cacheKey) {
+        this.cache.set(cacheKey, result);
       }
+      await this.runHook("afterPage", { ...result, categories, cached: false });
+      return result;
+    } catch (err) {
+      throw new PdfExportError(`Failed to export page ${url}`, err);
+    } finally {
+      await this.restoreScreenLayout();
     }
-
-    return exportedFiles;
   }
 }
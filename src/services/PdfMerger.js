@@ -1,9 +1,15 @@
-import { PDFDocument, PDFName, PDFDict, PDFString, PDFArray } from "pdf-lib";
+import { PDFDocument } from "pdf-lib";
 import fs from "fs";
 import { PdfMergeError } from "../utils/errors.js";
 import { info, debug, warn } from "../utils/logger.js";
 import { ensureDirectoryExists } from "../utils/fileSystem.js";
 import path from "path";
+import { DestinationResolver } from "./DestinationResolver.js";
+import { OutlineBuilder, flattenOutline } from "./OutlineBuilder.js";
+import { LinkAnnotator } from "./LinkAnnotator.js";
+import { MarkerReader } from "./MarkerReader.js";
+import { PageStamper } from "./PageStamper.js";
+import { MetadataWriter } from "./MetadataWriter.js";
 
 /**
  * Service for merging multiple PDF files into one
@@ -14,214 +20,77 @@ export class PdfMerger {
   }
 
   /**
-   * Create a bookmark item in the PDF outline structure
-   * @param {PDFDocument} pdfDoc - PDF document
-   * @param {PDFPage} page - Target page
-   * @param {string} title - Bookmark title
-   * @param {PDFDict} parent - Parent bookmark dictionary
-   * @param {PDFDict} prev - Previous bookmark dictionary
-   * @returns {PDFDict} Created bookmark dictionary
+   * Render the front matter and insert it before the content pages.
+   * Content destinations are unaffected: they reference pages, not indices.
+   * @param {PDFDocument} pdfDoc - Merged PDF document
+   * @param {DestinationResolver} resolver - Destination resolver for the content pages
+   * @param {Array} metadata - Array of export metadata after merging
+   * @param {Function} frontMatter - `async (tocEntries) => Buffer[]`
+   * @returns {Promise<number>} Number of inserted pages
    */
-  createBookmarkItem(pdfDoc, page, title, parent = null, prev = null) {
-    const pageRef = page.ref;
-
-    // Create destination array: [pageRef, 'XYZ', left, top, zoom]
-    const destArray = pdfDoc.context.obj([
-      pageRef,
-      PDFName.of("XYZ"),
-      null, // left (null = use default)
-      null, // top (null = use default, which is top of page)
-      null, // zoom (null = use default)
-    ]);
-
-    const bookmarkDict = pdfDoc.context.obj({
-      Title: PDFString.of(title),
-      Dest: destArray,
-      Parent: parent || null,
-      Prev: prev || null,
-      Next: null, // Will be set later
-      First: null, // For parent bookmarks with children
-      Last: null, // For parent bookmarks with children
-      Count: 0, // Number of children (negative if closed)
-    });
-
-    return bookmarkDict;
-  }
-
-  /**
-   * Build hierarchical bookmarks from flat heading list
-   * Simplified version that creates flat bookmarks first, then adds hierarchy
-   * @param {PDFDocument} pdfDoc - PDF document
-   * @param {Array} pages - Array of PDF pages
-   * @param {Array} metadata - Array of {path, headings, url, pageIndex}
-   * @returns {Array<{dict: PDFDict, level: number, parentIndex: number}>} Array of bookmark info
-   */
-  buildBookmarkHierarchy(pdfDoc, pages, metadata) {
-    const bookmarkInfos = [];
-    const stack = []; // Stack to track parent bookmark indices at each level
-
-    // First pass: create all bookmarks without linking
-    for (const meta of metadata) {
-      const pageIndex = meta.pageIndex;
-      const headings = meta.headings || [];
-
-      if (pageIndex >= pages.length) {
-        warn(`Page index ${pageIndex} out of range, skipping bookmarks`);
-        continue;
-      }
-
-      const targetPage = pages[pageIndex];
-
-      for (const heading of headings) {
-        const { level, text } = heading;
-
-        // Create bookmark dictionary
-        const bookmarkDict = PDFDict.withContext(pdfDoc.context);
-        bookmarkDict.set(PDFName.of("Title"), PDFString.of(text));
-
-        // Create destination
-        const destArray = pdfDoc.context.obj([
-          targetPage.ref,
-          PDFName.of("Fit"),
-        ]);
-        bookmarkDict.set(PDFName.of("Dest"), destArray);
-
-        pdfDoc.context.register(bookmarkDict);
-
-        // Determine parent index
-        let parentIndex = -1;
-        if (level > 1) {
-          const parentLevel = level - 2;
-          if (parentLevel >= 0 && stack[parentLevel] !== undefined) {
-            parentIndex = stack[parentLevel];
-          }
-        }
-
-        bookmarkInfos.push({
-          dict: bookmarkDict,
-          level,
-          parentIndex,
-          index: bookmarkInfos.length,
-        });
-
-        // Update stack
-        stack[level - 1] = bookmarkInfos.length - 1;
-        // Clear deeper levels
-        for (let i = level; i < stack.length; i++) {
-          stack[i] = undefined;
-        }
-      }
-    }
-
-    // Second pass: link bookmarks together
-    for (let i = 0; i < bookmarkInfos.length; i++) {
-      const info = bookmarkInfos[i];
-      const dict = info.dict;
-
-      // Set parent
-      if (info.parentIndex >= 0) {
-        const parentInfo = bookmarkInfos[info.parentIndex];
-        dict.set(PDFName.of("Parent"), parentInfo.dict.ref);
-
-        // Update parent's First/Last/Count
-        if (!parentInfo.dict.get(PDFName.of("First"))) {
-          parentInfo.dict.set(PDFName.of("First"), dict.ref);
-        }
-        parentInfo.dict.set(PDFName.of("Last"), dict.ref);
-
-        const currentCount =
-          parentInfo.dict.get(PDFName.of("Count"))?.asNumber() || 0;
-        parentInfo.dict.set(
-          PDFName.of("Count"),
-          pdfDoc.context.obj(currentCount + 1)
-        );
-      }
-
-      // Link siblings at same level
-      if (i > 0) {
-        // Find previous bookmark at same level
-        for (let j = i - 1; j >= 0; j--) {
-          if (
-            bookmarkInfos[j].level === info.level &&
-            bookmarkInfos[j].parentIndex === info.parentIndex
-          ) {
-            dict.set(PDFName.of("Prev"), bookmarkInfos[j].dict.ref);
-            bookmarkInfos[j].dict.set(PDFName.of("Next"), dict.ref);
-            break;
-          }
-        }
+  async insertFrontMatter(pdfDoc, resolver, metadata, frontMatter) {
+    const tocEntries = flattenOutline(
+      new OutlineBuilder(pdfDoc, resolver, this.config).buildTree(
+        metadata,
+        this.config.toc.maxHeadingLevel
+      )
+    );
+    const documents = await frontMatter(tocEntries);
+
+    const frontPages = [];
+    for (const bytes of documents) {
+      const source = await PDFDocument.load(bytes);
+      const copiedPages = await pdfDoc.copyPages(
+        source,
+        source.getPageIndices()
+      );
+      for (const page of copiedPages) {
+        pdfDoc.insertPage(frontPages.length, page);
+        frontPages.push(page);
       }
     }
 
-    // Return only root bookmarks (level 1 or no parent)
-    return bookmarkInfos
-      .filter((info) => info.level === 1 || info.parentIndex === -1)
-      .map((info) => info.dict);
+    new LinkAnnotator(pdfDoc, resolver).annotateToc(frontPages, tocEntries);
+    debug(`Inserted ${frontPages.length} front matter pages`);
+    return frontPages.length;
   }
 
   /**
-   * Create PDF outlines (bookmarks) structure
-   * @param {PDFDocument} pdfDoc - PDF document
-   * @param {Array} pages - Array of PDF pages
-   * @param {Array} metadata - Array of {path, headings, url, pageIndex}
+   * Describe each final page for the header and footer templates
+   * @param {Array} metadata - Array of export metadata after merging
+   * @param {number} frontPageCount - Number of front matter pages
+   * @param {number} totalPages - Number of pages in the merged document
+   * @returns {Array<{section: string, pageTitle: string}|null>} Details per page, null for front matter
    */
-  createOutlines(pdfDoc, pages, metadata) {
-    try {
-      const allBookmarks = this.buildBookmarkHierarchy(pdfDoc, pages, metadata);
-
-      if (allBookmarks.length === 0) {
-        debug("No bookmarks to create");
-        return;
-      }
-
-      // Filter root bookmarks (those without a parent or with null parent)
-      const rootBookmarks = allBookmarks.filter((bm) => {
-        const parent = bm.get(PDFName.of("Parent"));
-        return !parent || parent === null;
-      });
-
-      if (rootBookmarks.length === 0) {
-        debug("No root bookmarks found");
-        return;
-      }
-
-      // Create outlines root dictionary
-      const outlinesDict = PDFDict.withContext(pdfDoc.context);
-      outlinesDict.set(PDFName.of("Type"), PDFName.of("Outlines"));
-      outlinesDict.set(
-        PDFName.of("Count"),
-        pdfDoc.context.obj(rootBookmarks.length)
-      );
-      outlinesDict.set(PDFName.of("First"), rootBookmarks[0].ref);
-      outlinesDict.set(
-        PDFName.of("Last"),
-        rootBookmarks[rootBookmarks.length - 1].ref
-      );
-
-      const outlinesRef = pdfDoc.context.register(outlinesDict);
-
-      // Update root bookmarks to point to outlines as parent
-      for (const bookmark of rootBookmarks) {
-        bookmark.set(PDFName.of("Parent"), outlinesRef);
+  describePages(metadata, frontPageCount, totalPages) {
+    const pageInfos = new Array(totalPages).fill(null);
+    for (const meta of metadata) {
+      const categories = meta.categories || [];
+      for (let i = 0; i < (meta.pageCount || 0); i++) {
+        pageInfos[frontPageCount + meta.pageIndex + i] = {
+          section: categories[categories.length - 1] || meta.title || "",
+          pageTitle: meta.title || "",
+        };
       }
-
-      // Set outlines in catalog
-      pdfDoc.catalog.set(PDFName.of("Outlines"), outlinesRef);
-      info(`Created ${rootBookmarks.length} root bookmarks with hierarchy`);
-    } catch (err) {
-      warn("Failed to create bookmarks:", err.message);
-      debug(err.stack);
-      // Don't throw - bookmarks are optional
     }
+    return pageInfos;
   }
 
   /**
-   * Merge multiple PDF files into a single PDF with bookmarks
-   * @param {Array<{path: string, headings: Array, url: string, pageIndex: number}>} metadata - Array of export metadata
+   * Merge multiple PDF files into a single PDF with an outline and internal links.
+   * Sets pageIndex/pageCount on each metadata entry to its range in the merged file,
+   * pageRange to its 1-based pages in the final document, and mergeError if it
+   * could not be merged.
+   * @param {Array<{path: string, headings: Array, url: string, title: string, categories: string[]}>} metadata - Array of export metadata
    * @param {string} outputPath - Path where to save the merged PDF
+   * @param {object} options - Merge options
+   * @param {Function} [options.frontMatter] - `async (tocEntries) => Buffer[]` rendering the
+   *   PDFs (cover, table of contents) to put in front of the content
+   * @param {string} [options.title] - Document title for the header and footer
+   * @param {object} [options.metadata] - Document properties and XMP metadata, see MetadataWriter.write()
    * @returns {Promise<string>} Path to the merged PDF file
    */
-  async merge(metadata, outputPath) {
+  async merge(metadata, outputPath, options = {}) {
     if (!metadata || metadata.length === 0) {
       throw new PdfMergeError("No source files provided for merging");
     }
@@ -230,6 +99,7 @@ export class PdfMerger {
 
     try {
       const pdfDoc = await PDFDocument.create();
+      const markerReader = new MarkerReader(pdfDoc);
       const pages = [];
 
       // Track page offset for bookmarks
@@ -247,8 +117,10 @@ export class PdfMerger {
             PDFItem.getPageIndices()
           );
 
-          // Update page index in metadata to account for already merged pages
+          // Update page range in metadata to account for already merged pages
           meta.pageIndex = pageOffset;
+          meta.pageCount = copiedPages.length;
+          markerReader.read(meta, copiedPages, pageOffset);
           pageOffset += copiedPages.length;
 
           copiedPages.forEach((page) => {
@@ -257,31 +129,70 @@ export class PdfMerger {
           });
         } catch (err) {
           warn(`Failed to merge file ${localPath}:`, err.message);
+          meta.pageCount = 0;
+          meta.mergeError = new PdfMergeError(
+            `Failed to merge file ${localPath}`,
+            err
+          );
           // Continue with next file
           continue;
         }
       }
 
-      // Create bookmarks if we have headings
-      // NOTE: Bookmark creation is currently disabled due to pdf-lib API limitations
-      // The low-level PDF outline API in pdf-lib is fragile and causes PDF corruption
-      // This feature will be re-enabled once we find a more stable approach
-      // (possibly using a different library or waiting for better pdf-lib support)
-      // const hasHeadings = metadata.some(
-      //   (meta) => meta.headings && meta.headings.length > 0
-      // );
-      // if (hasHeadings) {
-      //   try {
-      //     info("Creating PDF bookmarks from headings...");
-      //     this.createOutlines(pdfDoc, pages, metadata);
-      //   } catch (bookmarkError) {
-      //     warn(
-      //       "Failed to create bookmarks, continuing without them:",
-      //       bookmarkError.message
-      //     );
-      //     debug(bookmarkError.stack);
-      //   }
-      // }
+      const resolver = new DestinationResolver(pages, metadata);
+
+      let frontPageCount = 0;
+      if (options.frontMatter) {
+        frontPageCount = await this.insertFrontMatter(
+          pdfDoc,
+          resolver,
+          metadata,
+          options.frontMatter
+        );
+      }
+
+      // Final 1-based page range of each exported page, for the report
+      for (const meta of metadata) {
+        if (meta.pageCount) {
+          const first = frontPageCount + meta.pageIndex + 1;
+          meta.pageRange = { first, last: first + meta.pageCount - 1 };
+        }
+      }
+
+      if (this.config.outline.enabled) {
+        try {
+          new OutlineBuilder(pdfDoc, resolver, this.config).build(metadata);
+        } catch (outlineError) {
+          warn(
+            "Failed to create PDF outline, continuing without it:",
+            outlineError.message
+          );
+          debug(outlineError.stack);
+        }
+      }
+
+      if (this.config.links.rewriteInternal) {
+        try {
+          new LinkAnnotator(pdfDoc, resolver).annotate(metadata);
+        } catch (linkError) {
+          warn(
+            "Failed to create internal links, continuing without them:",
+            linkError.message
+          );
+          debug(linkError.stack);
+        }
+      }
+
+      if (this.config.headerFooter.enabled) {
+        await new PageStamper(pdfDoc, this.config).stamp(
+          this.describePages(metadata, frontPageCount, pdfDoc.getPageCount()),
+          { title: options.title, version: this.config.docVersion }
+        );
+      }
+
+      if (options.metadata) {
+        new MetadataWriter(pdfDoc).write(options.metadata);
+      }
 
       // Ensure output directory exists
       const outputDir = path.dirname(outputPath);
@@ -0,0 +1,203 @@
+import fs from "fs";
+import path from "path";
+import { ConfigError } from "../utils/errors.js";
+import { info, warn, debug } from "../utils/logger.js";
+import { toSiteRelative } from "../utils/url.js";
+
+/**
+ * Bump when the manifest layout changes incompatibly
+ */
+const MANIFEST_FORMAT = 1;
+
+/**
+ * Service recording the progress of a run on disk (resume.manifest), so that
+ * an interrupted run can be continued with resume.enabled (--resume) instead
+ * of rendering every page again. Pages are identified by their per-page PDF
+ * path in the temporary directory, which the resumed run reuses.
+ */
+export class RunManifest {
+  constructor(config) {
+    this.file = path.resolve(process.cwd(), config.resume.manifest);
+    this.state = null;
+  }
+
+  /**
+   * Whether a run is being recorded
+   * @returns {boolean} True between start()/resume() and remove()
+   */
+  get isActive() {
+    return this.state !== null;
+  }
+
+  /**
+   * Number of pages recorded so far
+   * @returns {number} Exported and skipped pages
+   */
+  get pageCount() {
+    return this.state ? Object.keys(this.state.pages).length : 0;
+  }
+
+  /**
+   * Start recording a new run, replacing the manifest of any previous one
+   * @param {string} source - Start URL or build directory of the export
+   * @param {string} outputPath - Output path of the export
+   * @param {string} tempDir - Temporary directory of the run
+   */
+  start(source, outputPath, tempDir) {
+    this.state = {
+      format: MANIFEST_FORMAT,
+      source,
+      outputPath: path.resolve(process.cwd(), outputPath),
+      tempDir,
+      startedAt: new Date().toISOString(),
+      pages: {},
+    };
+    this.save();
+  }
+
+  /**
+   * Read the output path recorded by the previous run, without resuming it
+   * @returns {string|null} Output path, or null if there is no readable manifest
+   */
+  readOutputPath() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, "utf8")).outputPath || null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Continue the run recorded in the manifest
+   * @param {string} source - Start URL or build directory of the export
+   * @param {string} outputPath - Output path of the export
+   * @returns {string} Temporary directory of the interrupted run
+   * @throws {ConfigError} If there is no run to resume, or it was for another export
+   */
+  resume(source, outputPath) {
+    if (!fs.existsSync(this.file)) {
+      throw new ConfigError(`No run to resume: ${this.file} not found`);
+    }
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (err) {
+      throw new ConfigError(
+        `Failed to read run manifest ${this.file}: ${err.message}`,
+        err
+      );
+    }
+
+    const resolvedOutput = path.resolve(process.cwd(), outputPath);
+    if (
+      state.format !== MANIFEST_FORMAT ||
+      state.source !== source ||
+      state.outputPath !== resolvedOutput
+    ) {
+      throw new ConfigError(
+        `Run manifest ${this.file} is for another export (${state.source} to ${state.outputPath})`
+      );
+    }
+    if (!fs.existsSync(state.tempDir)) {
+      throw new ConfigError(
+        `Cannot resume: the temporary directory ${state.tempDir} of the interrupted run no longer exists`
+      );
+    }
+
+    this.state = state;
+    info(
+      `Resuming the run started at ${state.startedAt} (${this.pageCount} page(s) done)`
+    );
+    return state.tempDir;
+  }
+
+  /**
+   * Key of a page slot in the manifest
+   * @param {string} outputPath - Per-page PDF path
+   * @returns {string} Path relative to the temporary directory
+   */
+  getKey(outputPath) {
+    return path.relative(this.state.tempDir, outputPath);
+  }
+
+  /**
+   * Look up a page done by the interrupted run
+   * @param {string} outputPath - Per-page PDF path
+   * @param {string} url - Page URL, which must match the recorded one
+   * @returns {object|null} Export result recorded for the page, or null if it must be rendered
+   */
+  getPage(outputPath, url) {
+    const entry = this.state?.pages[this.getKey(outputPath)];
+    const { origin } = new URL(url);
+    if (!entry || entry.url !== toSiteRelative(url, origin)) {
+      return null;
+    }
+    if (entry.skipped) {
+      return { ...entry, url };
+    }
+    if (!fs.existsSync(entry.path)) {
+      debug(`Resumed page file ${entry.path} is missing, rendering ${url}`);
+      return null;
+    }
+    return {
+      ...entry,
+      url,
+      links: entry.links.map((link) => ({
+        ...link,
+        target: new URL(link.target, url).href,
+      })),
+    };
+  }
+
+  /**
+   * Record a page once exported or skipped
+   * @param {string} outputPath - Per-page PDF path
+   * @param {object} result - Export result
+   */
+  recordPage(outputPath, result) {
+    if (!this.state) {
+      return;
+    }
+    // The origin changes with the port of the local static server
+    const { origin } = new URL(result.url);
+    this.state.pages[this.getKey(outputPath)] = {
+      ...result,
+      url: toSiteRelative(result.url, origin),
+      ...(result.links && {
+        links: result.links.map((link) => ({
+          ...link,
+          target: toSiteRelative(link.target, origin),
+        })),
+      }),
+    };
+    this.save();
+  }
+
+  /**
+   * Write the manifest. It is replaced atomically, so that a crash while
+   * writing leaves the previous version.
+   */
+  save() {
+    try {
+      const partialFile = `${this.file}.partial`;
+      fs.writeFileSync(partialFile, JSON.stringify(this.state));
+      fs.renameSync(partialFile, this.file);
+    } catch (err) {
+      warn(`Failed to write run manifest ${this.file}:`, err.message);
+    }
+  }
+
+  /**
+   * Stop recording and delete the manifest, once the run has completed or
+   * when there is nothing to resume
+   */
+  remove() {
+    this.state = null;
+    try {
+      fs.rmSync(this.file, { force: true });
+    } catch (err) {
+      warn(`Failed to remove run manifest ${this.file}:`, err.message);
+    }
+  }
+}
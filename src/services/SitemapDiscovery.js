@@ -0,0 +1,152 @@
+import { LinkCollectionError } from "../utils/errors.js";
+import { info, debug } from "../utils/logger.js";
+import { getAuthHeaders } from "../utils/auth.js";
+import {
+  normalizeUrl,
+  matchesPathPrefix,
+  resolvePathPrefix,
+} from "../utils/url.js";
+
+/**
+ * Page discovery strategy reading the site's sitemap.xml
+ */
+export class SitemapDiscovery {
+  constructor(page, config) {
+    this.page = page;
+    this.config = config;
+    this.discoveryConfig = config.discovery;
+  }
+
+  /**
+   * Candidate sitemap locations, from the start URL up to the site root
+   * (the docs may be served under a baseUrl)
+   * @param {string} baseUrl - Start URL of the export
+   * @returns {string[]} Sitemap URLs to try
+   */
+  getSitemapCandidates(baseUrl) {
+    if (this.discoveryConfig.sitemapUrl) {
+      return [new URL(this.discoveryConfig.sitemapUrl, baseUrl).href];
+    }
+
+    const start = new URL(baseUrl);
+    const segments = start.pathname.split("/").filter(Boolean);
+    const candidates = [];
+    for (let i = segments.length; i >= 0; i--) {
+      const dir = segments.slice(0, i).join("/");
+      candidates.push(`${start.origin}/${dir ? `${dir}/` : ""}sitemap.xml`);
+    }
+    return candidates;
+  }
+
+  /**
+   * Fetch a sitemap document
+   * @param {string} url - Sitemap URL
+   * @param {string} origin - Origin of the site, the only one receiving auth.headers
+   * @returns {Promise<string|null>} XML content or null if unavailable
+   */
+  async fetchSitemap(url, origin) {
+    try {
+      // The routes adding auth.headers to the browser requests do not see page.request
+      const headers =
+        new URL(url).origin === origin
+          ? getAuthHeaders(this.config.auth)
+          : null;
+      const response = await this.page.request.get(url, {
+        timeout: this.config.timeouts.pageLoad,
+        ...(headers && { headers }),
+      });
+      if (!response.ok()) {
+        debug(`No sitemap at ${url} (HTTP ${response.status()})`);
+        return null;
+      }
+      const body = await response.text();
+      return /<(urlset|sitemapindex)[\s>]/.test(body) ? body : null;
+    } catch (err) {
+      debug(`Failed to fetch sitemap ${url}:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extract the <loc> entries of a sitemap
+   * @param {string} xml - Sitemap XML
+   * @returns {string[]} Locations in document order
+   */
+  parseLocations(xml) {
+    const locations = [];
+    const pattern = /<loc>\s*([^<]+?)\s*<\/loc>/g;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+      locations.push(
+        match[1]
+          .replace(/&amp;/g, "&")
+          .replace(/&lt;/g, "<")
+          .replace(/&gt;/g, ">")
+          .replace(/&quot;/g, '"')
+          .replace(/&apos;/g, "'")
+      );
+    }
+    return locations;
+  }
+
+  /**
+   * Collect page URLs from a sitemap, following sitemap indexes
+   * @param {string} xml - Sitemap XML
+   * @param {string} origin - Origin the pages are served from
+   * @returns {Promise<string[]>} Page URLs
+   */
+  async collectLocations(xml, origin) {
+    const locations = this.parseLocations(xml).map((loc) => {
+      // Sitemaps carry the production site URL; export from the server we were given
+      const url = new URL(loc, origin);
+      return `${origin}${url.pathname}${url.search}`;
+    });
+
+    if (!/<sitemapindex[\s>]/.test(xml)) {
+      return locations;
+    }
+
+    const urls = [];
+    for (const location of locations) {
+      const nested = await this.fetchSitemap(location, origin);
+      if (nested) {
+        urls.push(...(await this.collectLocations(nested, origin)));
+      }
+    }
+    return urls;
+  }
+
+  /**
+   * Discover pages listed in the sitemap
+   * @param {string} baseUrl - Start URL of the export
+   * @returns {Promise<Array<{url: string, title: string, categories: string[]}>>} Discovered pages
+   */
+  async discover(baseUrl) {
+    const origin = new URL(baseUrl).origin;
+    const prefix = resolvePathPrefix(baseUrl, this.discoveryConfig.pathPrefix);
+
+    for (const candidate of this.getSitemapCandidates(baseUrl)) {
+      const xml = await this.fetchSitemap(candidate, origin);
+      if (!xml) {
+        continue;
+      }
+
+      info(`Reading sitemap: ${candidate}`);
+      const seen = new Set();
+      const entries = [];
+      for (const url of await this.collectLocations(xml, origin)) {
+        const key = normalizeUrl(url);
+        if (seen.has(key) || !matchesPathPrefix(url, prefix)) {
+          continue;
+        }
+        seen.add(key);
+        entries.push({ url, title: "", categories: [] });
+      }
+
+      info(`Collected ${entries.length} links from sitemap`);
+      return entries;
+    }
+
+    throw new LinkCollectionError(`No sitemap.xml found for ${baseUrl}`);
+  }
+}
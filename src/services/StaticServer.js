@@ -0,0 +1,241 @@
+import http from "http";
+import fs from "fs";
+import path from "path";
+import { StaticServerError } from "../utils/errors.js";
+import { info, debug, warn } from "../utils/logger.js";
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".eot": "application/vnd.ms-fontobject",
+  ".wasm": "application/wasm",
+  ".pdf": "application/pdf",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+};
+
+/**
+ * In-process static file server for a Docusaurus build/ directory.
+ * Serves the build under the site's baseUrl and applies its trailingSlash rule.
+ */
+export class StaticServer {
+  /**
+   * @param {string} rootDir - Path to the Docusaurus build directory
+   * @param {object} config - Export configuration
+   */
+  constructor(rootDir, config) {
+    this.rootDir = path.resolve(process.cwd(), rootDir);
+    this.serverConfig = config.server;
+    this.server = null;
+    this.baseUrl = "/";
+    this.origin = null;
+  }
+
+  /**
+   * Detect the site's baseUrl from the asset paths of the built index.html
+   * @returns {string} baseUrl, always starting and ending with a slash
+   */
+  detectBaseUrl() {
+    if (this.serverConfig.baseUrl) {
+      const trimmed = this.serverConfig.baseUrl.replace(/^\/+|\/+$/g, "");
+      return trimmed ? `/${trimmed}/` : "/";
+    }
+
+    try {
+      const html = fs.readFileSync(
+        path.join(this.rootDir, "index.html"),
+        "utf8"
+      );
+      const match = html.match(/(?:href|src)="(\/[^"]*?)assets\/(?:css|js)\//);
+      if (match) {
+        return match[1];
+      }
+    } catch (err) {
+      debug("Could not read index.html to detect baseUrl:", err.message);
+    }
+    return "/";
+  }
+
+  /**
+   * Check that a path is an existing file
+   * @param {string} filePath - Path to check
+   * @returns {boolean} True if the file exists
+   */
+  isFile(filePath) {
+    try {
+      return fs.statSync(filePath).isFile();
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Resolve a request path (relative to baseUrl) to a file or a redirect
+   * @param {string} relativePath - Decoded request path without the baseUrl
+   * @returns {{file?: string, redirect?: string, status: number}} Resolution result
+   */
+  resolve(relativePath) {
+    const { trailingSlash } = this.serverConfig;
+    const filePath = path.join(this.rootDir, relativePath);
+
+    // Never serve files outside the build directory
+    if (
+      filePath !== this.rootDir &&
+      !filePath.startsWith(this.rootDir + path.sep)
+    ) {
+      return { status: 403 };
+    }
+
+    const hasSlash = relativePath === "" || relativePath.endsWith("/");
+    const bare = relativePath.replace(/\/+$/, "");
+
+    if (!hasSlash && this.isFile(filePath)) {
+      return { file: filePath, status: 200 };
+    }
+
+    const indexFile = path.join(this.rootDir, bare, "index.html");
+    const htmlFile = path.join(this.rootDir, `${bare}.html`);
+
+    if (this.isFile(indexFile)) {
+      if (!hasSlash && trailingSlash === true) {
+        return { redirect: `${this.baseUrl}${bare}/`, status: 301 };
+      }
+      return { file: indexFile, status: 200 };
+    }
+
+    if (bare && this.isFile(htmlFile)) {
+      if (hasSlash && trailingSlash === false) {
+        return { redirect: `${this.baseUrl}${bare}`, status: 301 };
+      }
+      return { file: htmlFile, status: 200 };
+    }
+
+    const notFound = path.join(this.rootDir, "404.html");
+    return this.isFile(notFound)
+      ? { file: notFound, status: 404 }
+      : { status: 404 };
+  }
+
+  /**
+   * Handle an HTTP request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handle(req, res) {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(
+        new URL(req.url, "http://localhost").pathname
+      );
+    } catch (err) {
+      res.writeHead(400).end();
+      return;
+    }
+
+    if (`${pathname}/` === this.baseUrl) {
+      res.writeHead(301, { Location: this.baseUrl }).end();
+      return;
+    }
+    if (!pathname.startsWith(this.baseUrl)) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const result = this.resolve(pathname.slice(this.baseUrl.length));
+    if (result.redirect) {
+      res.writeHead(result.status, { Location: result.redirect }).end();
+      return;
+    }
+    if (!result.file) {
+      res.writeHead(result.status).end();
+      return;
+    }
+
+    const type =
+      MIME_TYPES[path.extname(result.file).toLowerCase()] ||
+      "application/octet-stream";
+    if (req.method === "HEAD") {
+      res.writeHead(result.status, { "Content-Type": type }).end();
+      return;
+    }
+
+    // The file can disappear or become unreadable after resolve()
+    const stream = fs.createReadStream(result.file);
+    stream.on("error", (err) => {
+      warn(`Failed to read ${result.file}:`, err.message);
+      if (res.headersSent) {
+        res.destroy(err);
+      } else {
+        res.writeHead(500).end();
+      }
+    });
+    stream.once("open", () => {
+      res.writeHead(result.status, { "Content-Type": type });
+      stream.pipe(res);
+    });
+  }
+
+  /**
+   * Start the server
+   * @returns {Promise<string>} URL of the site root (including baseUrl)
+   */
+  async start() {
+    if (!fs.existsSync(path.join(this.rootDir, "index.html"))) {
+      throw new StaticServerError(
+        `${this.rootDir} does not look like a Docusaurus build directory (no index.html)`
+      );
+    }
+
+    this.baseUrl = this.detectBaseUrl();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    try {
+      await new Promise((resolve, reject) => {
+        this.server.once("error", reject);
+        this.server.listen(
+          this.serverConfig.port,
+          this.serverConfig.host,
+          resolve
+        );
+      });
+    } catch (err) {
+      throw new StaticServerError("Failed to start the static file server", err);
+    }
+
+    const { port } = this.server.address();
+    const url = `http://${this.serverConfig.host}:${port}${this.baseUrl}`;
+    this.origin = new URL(url).origin;
+    info(`Serving ${this.rootDir} at ${url}`);
+    return url;
+  }
+
+  /**
+   * Stop the server
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const closed = new Promise((resolve) => this.server.close(() => resolve()));
+    // Drop idle keep-alive connections left by the browser (Node 18.2+)
+    this.server.closeAllConnections?.();
+    await closed;
+    this.server = null;
+    debug("Static file server stopped");
+  }
+}
@@ -0,0 +1,59 @@
+import fs from "fs";
+import path from "path";
+import { LinkCollectionError } from "../utils/errors.js";
+import { info } from "../utils/logger.js";
+
+/**
+ * Page discovery strategy reading an explicit list of URLs from a file
+ * (one URL per line, blank lines and lines starting with # are ignored)
+ */
+export class UrlListDiscovery {
+  constructor(page, config) {
+    this.page = page;
+    this.config = config;
+    this.discoveryConfig = config.discovery;
+  }
+
+  /**
+   * Discover pages listed in the URL file, in file order
+   * @param {string} baseUrl - Start URL of the export, used to resolve relative URLs
+   * @returns {Promise<Array<{url: string, title: string, categories: string[]}>>} Listed pages
+   */
+  async discover(baseUrl) {
+    const { urlFile } = this.discoveryConfig;
+    if (!urlFile) {
+      throw new LinkCollectionError(
+        'The "url-list" discovery strategy requires discovery.urlFile'
+      );
+    }
+
+    const filePath = path.resolve(process.cwd(), urlFile);
+    let content;
+    try {
+      content = fs.readFileSync(filePath, "utf8");
+    } catch (err) {
+      throw new LinkCollectionError(`Failed to read URL list ${filePath}`, err);
+    }
+
+    const entries = [];
+    content.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith("#")) {
+        return;
+      }
+      let url;
+      try {
+        url = new URL(line, baseUrl).href;
+      } catch (err) {
+        throw new LinkCollectionError(
+          `Invalid URL on line ${index + 1} of ${filePath}: ${line}`,
+          err
+        );
+      }
+      entries.push({ url, title: "", categories: [] });
+    });
+
+    info(`Collected ${entries.length} links from ${filePath}`);
+    return entries;
+  }
+}
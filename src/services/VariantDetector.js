@@ -0,0 +1,219 @@
+import { ExportError } from "../utils/errors.js";
+import { info, warn, debug } from "../utils/logger.js";
+import { slugify, uniqueName } from "../utils/fileSystem.js";
+
+/**
+ * Service finding the versions and locales of a Docusaurus site from the
+ * navbar dropdowns, and the start URL of each version/locale pair
+ */
+export class VariantDetector {
+  constructor(page, config) {
+    this.page = page;
+    this.config = config;
+    this.selectors = config.selectors.variants;
+  }
+
+  /**
+   * Read the version and locale dropdowns of the current page.
+   * The locale dropdown is the one whose links carry a lang attribute; the
+   * version dropdown is the one whose toggle shows its active entry.
+   * @returns {Promise<{locale: string, version: string, locales: Array, versions: Array}>} Current and available variants
+   */
+  async readDropdowns() {
+    return await this.page.evaluate((selectors) => {
+      const label = (element) => (element?.textContent || "").trim();
+      const locales = [];
+      const versions = [];
+
+      document.querySelectorAll(selectors.dropdown).forEach((dropdown) => {
+        const items = [];
+        for (const item of dropdown.querySelectorAll(selectors.item)) {
+          if (item.querySelector(selectors.divider)) break;
+          const link = item.querySelector(selectors.link);
+          if (link && link.href) items.push(link);
+        }
+
+        if (items.some((link) => link.hasAttribute("lang"))) {
+          items
+            .filter((link) => link.hasAttribute("lang"))
+            .forEach((link) =>
+              locales.push({
+                name: link.getAttribute("lang"),
+                label: label(link),
+                url: link.href,
+              })
+            );
+          return;
+        }
+
+        const toggle = label(dropdown.querySelector(selectors.toggle));
+        const active = items.find((link) => link.matches(selectors.activeLink));
+        if (versions.length > 0 || !active || label(active) !== toggle) {
+          return;
+        }
+        items.forEach((link) =>
+          versions.push({
+            label: label(link),
+            url: link.href,
+            active: link === active,
+          })
+        );
+      });
+
+      // Without a locale dropdown, fall back to the hreflang alternates
+      if (locales.length === 0) {
+        document
+          .querySelectorAll('link[rel="alternate"][hreflang]')
+          .forEach((link) => {
+            const name = link.getAttribute("hreflang");
+            if (name !== "x-default") {
+              locales.push({ name, label: name, url: link.href });
+            }
+          });
+      }
+
+      const versionMeta = document.querySelector(
+        'meta[name="docusaurus_version"]'
+      );
+      return {
+        locale: document.documentElement.lang || "",
+        version: versionMeta?.getAttribute("content") || "",
+        locales,
+        versions,
+      };
+    }, this.selectors);
+  }
+
+  /**
+   * Pick the variants to export among the detected ones
+   * @param {string} kind - "version" or "locale", for messages
+   * @param {null|string|Array} requested - variants.versions or variants.locales
+   * @param {Array<{name: string, label: string, url: string}>} detected - Variants found in the dropdown
+   * @param {{name: string, label: string, url: string}} current - Variant of the current page
+   * @returns {Array<{name: string, label: string, url: string}>} Selected variants
+   */
+  selectVariants(kind, requested, detected, current) {
+    if (!requested) {
+      return [current];
+    }
+    if (requested === "all") {
+      if (detected.length === 0) {
+        warn(`No ${kind} dropdown found, exporting the current ${kind} only`);
+        return [current];
+      }
+      return detected;
+    }
+
+    return requested.map((entry) => {
+      if (typeof entry === "object") {
+        return {
+          name: slugify(entry.name) || kind,
+          label: entry.label || entry.name,
+          url: entry.url,
+        };
+      }
+      const wanted = String(entry).toLowerCase();
+      const match = detected.find(
+        (variant) =>
+          variant.name === slugify(entry) ||
+          variant.label.toLowerCase() === wanted
+      );
+      if (!match) {
+        const available = detected.map((variant) => variant.label).join(", ");
+        throw new ExportError(
+          `Unknown ${kind} "${entry}". Available: ${available || "none"}`
+        );
+      }
+      return match;
+    });
+  }
+
+  /**
+   * Read the dropdowns of a page
+   * @param {string} url - Page URL
+   * @returns {Promise<object>} Result of readDropdowns()
+   */
+  async readPage(url) {
+    debug(`Reading versions and locales from ${url}`);
+    await this.page.goto(url, {
+      waitUntil: "domcontentloaded",
+      timeout: this.config.timeouts.pageLoad,
+    });
+    return await this.readDropdowns();
+  }
+
+  /**
+   * Detect the version/locale pairs to export
+   * @param {string} startUrl - Start URL of the export
+   * @returns {Promise<Array<{version: string, versionLabel: string, locale: string, url: string}>>} Variants, by locale then version
+   */
+  async detect(startUrl) {
+    const { versions, locales } = this.config.variants;
+    const start = await this.readPage(startUrl);
+
+    // Names end up in file names: keep them apart, even for labels without letters
+    const localeNames = new Set();
+    const localeEntries = start.locales.map((locale) => ({
+      ...locale,
+      name: uniqueName(slugify(locale.name), localeNames, "locale"),
+    }));
+    const currentLocale = {
+      name: slugify(start.locale) || "locale",
+      label: start.locale,
+      url: startUrl,
+    };
+    const selectedLocales = this.selectVariants(
+      "locale",
+      locales,
+      localeEntries,
+      localeEntries.find((locale) => locale.name === currentLocale.name) ||
+        currentLocale
+    );
+
+    const variants = [];
+    for (const locale of selectedLocales) {
+      // The start page already shows the dropdowns of its own locale
+      const page =
+        locale.name === currentLocale.name
+          ? start
+          : await this.readPage(locale.url);
+      const localeUrl =
+        locale.name === currentLocale.name ? startUrl : locale.url;
+
+      const versionNames = new Set();
+      const versionEntries = page.versions.map((version) => ({
+        ...version,
+        name: uniqueName(slugify(version.label), versionNames, "version"),
+      }));
+      const activeVersion = versionEntries.find((version) => version.active);
+      const currentVersion = {
+        name: activeVersion?.name || slugify(page.version) || "version",
+        label: activeVersion?.label || page.version,
+        url: localeUrl,
+      };
+
+      for (const version of this.selectVariants(
+        "version",
+        versions,
+        versionEntries,
+        currentVersion
+      )) {
+        variants.push({
+          version: version.name,
+          versionLabel: version.label,
+          locale: locale.name,
+          url: new URL(version.url, localeUrl).href,
+        });
+      }
+    }
+
+    info(
+      `Exporting ${variants.length} variant(s): ${variants
+        .map((variant) =>
+          [variant.versionLabel, variant.locale].filter(Boolean).join("/")
+        )
+        .join(", ")}`
+    );
+    return variants;
+  }
+}
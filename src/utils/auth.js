@@ -0,0 +1,180 @@
+/**
+ * Credentials for protected documentation sites: HTTP basic auth, extra
+ * request headers, cookie files and Playwright storage state
+ */
+
+import fs from "fs";
+import path from "path";
+import { ConfigError } from "./errors.js";
+
+/**
+ * Prefix reading a secret from an environment variable (e.g. "env:DOCS_TOKEN")
+ */
+export const ENV_PREFIX = "env:";
+
+/**
+ * Environment variables used when auth.username / auth.password are not set
+ */
+export const AUTH_ENV = {
+  username: "DOCEXPORT_USERNAME",
+  password: "DOCEXPORT_PASSWORD",
+};
+
+/**
+ * Resolve a secret, reading "env:NAME" values from the environment
+ * @param {string|null} value - Literal value or environment reference
+ * @param {string} option - Option name, for error messages
+ * @returns {string|null} Secret
+ * @throws {ConfigError} If the environment variable is not set
+ */
+export function resolveSecret(value, option) {
+  if (typeof value !== "string" || !value.startsWith(ENV_PREFIX)) {
+    return value;
+  }
+  const name = value.slice(ENV_PREFIX.length);
+  if (process.env[name] === undefined) {
+    throw new ConfigError(
+      `Environment variable ${name} (for ${option}) is not set`
+    );
+  }
+  return process.env[name];
+}
+
+/**
+ * Parse a Netscape cookies.txt file, as exported by browser extensions and curl
+ * @param {string} content - File content
+ * @returns {Array<object>} Playwright cookies
+ */
+function parseNetscapeCookies(content) {
+  const cookies = [];
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.trim();
+    let httpOnly = false;
+    if (line.startsWith("#HttpOnly_")) {
+      line = line.slice("#HttpOnly_".length);
+      httpOnly = true;
+    }
+    if (!line || line.startsWith("#")) continue;
+
+    const [domain, , cookiePath, secure, expires, name, value = ""] =
+      line.split("\t");
+    if (!name) continue;
+    cookies.push({
+      name,
+      value,
+      domain,
+      path: cookiePath || "/",
+      secure: secure === "TRUE",
+      httpOnly,
+      // 0 marks a session cookie
+      expires: Number(expires) > 0 ? Number(expires) : -1,
+    });
+  }
+  return cookies;
+}
+
+/**
+ * Load a cookie file: a JSON array of Playwright cookies, a JSON object with
+ * a cookies array (such as a storage state), or a Netscape cookies.txt file
+ * @param {string} file - Path to the cookie file
+ * @returns {Array<object>} Playwright cookies
+ * @throws {ConfigError} If the file cannot be read or parsed
+ */
+export function loadCookieFile(file) {
+  const resolved = path.resolve(process.cwd(), file);
+  let content;
+  try {
+    content = fs.readFileSync(resolved, "utf8");
+  } catch (err) {
+    throw new ConfigError(
+      `Failed to read cookie file ${resolved}: ${err.message}`,
+      err
+    );
+  }
+
+  if (!/^\s*[[{]/.test(content)) {
+    return parseNetscapeCookies(content);
+  }
+  try {
+    const parsed = JSON.parse(content);
+    const cookies = Array.isArray(parsed) ? parsed : parsed.cookies;
+    if (!Array.isArray(cookies)) {
+      throw new Error("expected an array of cookies");
+    }
+    return cookies;
+  } catch (err) {
+    throw new ConfigError(
+      `Invalid cookie file ${resolved}: ${err.message}`,
+      err
+    );
+  }
+}
+
+/**
+ * Resolve the extra request headers of the auth configuration
+ * @param {object} auth - auth configuration
+ * @returns {object|null} Header values by name, or null if there are none
+ * @throws {ConfigError} If a secret is missing
+ */
+export function getAuthHeaders(auth) {
+  const headers = Object.entries(auth.headers || {});
+  if (headers.length === 0) {
+    return null;
+  }
+  return Object.fromEntries(
+    headers.map(([name, value]) => [
+      name,
+      String(resolveSecret(value, `auth.headers.${name}`)),
+    ])
+  );
+}
+
+/**
+ * Add the auth headers to the requests a browser context sends to the site.
+ * Requests to other hosts (CDNs, analytics, search) are left untouched, so
+ * that tokens do not leak to them.
+ * @param {import('playwright').BrowserContext} context - Browser context
+ * @param {string} origin - Origin of the site
+ * @param {object} headers - Headers from getAuthHeaders()
+ */
+export async function routeAuthHeaders(context, origin, headers) {
+  await context.route(
+    (url) => url.origin === origin,
+    (route) =>
+      route.continue({
+        headers: { ...route.request().headers(), ...headers },
+      })
+  );
+}
+
+/**
+ * Build the browser context options for the auth configuration. Headers are
+ * not part of them, see routeAuthHeaders().
+ * @param {object} auth - auth configuration
+ * @param {string} origin - Origin of the site, the only one basic auth credentials are sent to
+ * @returns {{httpCredentials?: object, storageState?: string}} Context options
+ * @throws {ConfigError} If a secret or file is missing
+ */
+export function getAuthContextOptions(auth, origin) {
+  const options = {};
+
+  const username =
+    resolveSecret(auth.username, "auth.username") ??
+    process.env[AUTH_ENV.username];
+  const password =
+    resolveSecret(auth.password, "auth.password") ??
+    process.env[AUTH_ENV.password];
+  if (username) {
+    options.httpCredentials = { username, password: password || "", origin };
+  }
+
+  if (auth.storageState) {
+    const resolved = path.resolve(process.cwd(), auth.storageState);
+    if (!fs.existsSync(resolved)) {
+      throw new ConfigError(`Storage state file not found: ${resolved}`);
+    }
+    options.storageState = resolved;
+  }
+
+  return options;
+}
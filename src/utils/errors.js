@@ -24,6 +24,13 @@ export class LinkCollectionError extends ExportError {
   }
 }
 
+export class ConnectionError extends ExportError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = "ConnectionError";
+  }
+}
+
 export class PdfExportError extends ExportError {
   constructor(message, cause) {
     super(message, cause);
@@ -31,9 +38,37 @@ export class PdfExportError extends ExportError {
   }
 }
 
+export class AllPagesFailedError extends PdfExportError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = "AllPagesFailedError";
+  }
+}
+
 export class PdfMergeError extends ExportError {
   constructor(message, cause) {
     super(message, cause);
     this.name = "PdfMergeError";
   }
 }
+
+export class StaticServerError extends ExportError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = "StaticServerError";
+  }
+}
+
+export class ConfigError extends ExportError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = "ConfigError";
+  }
+}
+
+export class ExportAbortedError extends ExportError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = "ExportAbortedError";
+  }
+}
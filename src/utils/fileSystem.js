@@ -1,5 +1,6 @@
 import fs from "fs";
 import path from "path";
+import { ConfigError } from "./errors.js";
 
 /**
  * Ensure a directory exists, create it if it doesn't
@@ -49,3 +50,67 @@ export function resolveOutputPath(outputPath) {
     fullPath: resolvedPath,
   };
 }
+
+/**
+ * Check whether a path points to an existing directory
+ * @param {string} target - Path to check
+ * @returns {boolean} True if the path is a directory
+ */
+export function isDirectory(target) {
+  try {
+    return fs.statSync(path.resolve(process.cwd(), target)).isDirectory();
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Turn a label into a file-name friendly name ("1.0.0 (legacy)" -> "1.0.0-legacy").
+ * Letters and digits of any script are kept ("简体中文" stays "简体中文").
+ * @param {string} label - Label to convert
+ * @returns {string} Slug, empty if the label has no letter or digit
+ */
+export function slugify(label) {
+  return String(label)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}._]+/gu, "-")
+    .replace(/^[-.]+|-+$/g, "");
+}
+
+/**
+ * Pick a name that is not used yet, adding -2, -3... to a taken one
+ * @param {string} name - Wanted name, may be empty
+ * @param {Set<string>} usedNames - Names already given, the picked name is added to it
+ * @param {string} fallback - Name used when the wanted one is empty
+ * @returns {string} Unused name
+ */
+export function uniqueName(name, usedNames, fallback) {
+  const base = name || fallback;
+  let unique = base;
+  for (let i = 2; usedNames.has(unique); i++) {
+    unique = `${base}-${i}`;
+  }
+  usedNames.add(unique);
+  return unique;
+}
+
+/**
+ * Read user-supplied text files, such as injected stylesheets and scripts
+ * @param {string[]} files - File paths, relative to the working directory
+ * @param {string} kind - What the files are, for error messages
+ * @returns {Array<{file: string, content: string}>} Resolved paths and contents
+ * @throws {ConfigError} If a file cannot be read
+ */
+export function readTextFiles(files, kind) {
+  return files.map((file) => {
+    const resolved = path.resolve(process.cwd(), file);
+    try {
+      return { file: resolved, content: fs.readFileSync(resolved, "utf8") };
+    } catch (err) {
+      throw new ConfigError(
+        `Failed to read ${kind} ${resolved}: ${err.message}`,
+        err
+      );
+    }
+  });
+}
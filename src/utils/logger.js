@@ -2,6 +2,9 @@
  * Structured logging utility
  */
 
+import { AsyncLocalStorage } from "async_hooks";
+import util from "util";
+
 const LOG_LEVELS = {
   DEBUG: 0,
   INFO: 1,
@@ -9,28 +12,173 @@ const LOG_LEVELS = {
   ERROR: 3,
 };
 
-let currentLogLevel = LOG_LEVELS.INFO;
+/**
+ * Supported values of logging.level and logging.format
+ */
+export const LOG_LEVEL_NAMES = ["debug", "info", "warn", "error"];
+export const LOG_FORMATS = ["text", "json"];
+
+/**
+ * Argument orders of custom loggers: pino's `logger.info(fields, message)`
+ * or winston's `logger.info(message, fields)`
+ */
+export const LOGGER_STYLES = ["pino", "winston"];
+
+/**
+ * Process-wide settings, used outside of withLogging()
+ */
+const globalSettings = {
+  level: LOG_LEVELS.INFO,
+  format: "text",
+  logger: null,
+  loggerStyle: "pino",
+};
+
+/**
+ * Settings of the code running in withLogging(), so that each export logs
+ * with its own options, even when several run at the same time
+ */
+const logSettings = new AsyncLocalStorage();
+
+/**
+ * Get the settings in effect for the current code
+ * @returns {{level: number, format: string, logger: object|null, loggerStyle: string}} Settings
+ */
+function getSettings() {
+  return logSettings.getStore() || globalSettings;
+}
+
+/**
+ * Convert a level name to its number, defaulting to info
+ * @param {string} level - Level name
+ * @returns {number} Level
+ */
+function toLevel(level) {
+  return LOG_LEVELS[String(level).toUpperCase()] ?? LOG_LEVELS.INFO;
+}
+
+/**
+ * Fields (page URL, phase) added to the messages logged by the code running
+ * in withLogContext(), including concurrent render workers
+ */
+const logContext = new AsyncLocalStorage();
 
 /**
  * Set the logging level
  * @param {string} level - One of: 'debug', 'info', 'warn', 'error'
  */
 export function setLogLevel(level) {
-  const levelMap = {
-    debug: LOG_LEVELS.DEBUG,
-    info: LOG_LEVELS.INFO,
-    warn: LOG_LEVELS.WARN,
-    error: LOG_LEVELS.ERROR,
-  };
-  currentLogLevel = levelMap[level.toLowerCase()] ?? LOG_LEVELS.INFO;
+  globalSettings.level = toLevel(level);
+}
+
+/**
+ * Set the output format of the console logs
+ * @param {string} format - 'text' (default) or 'json' for one JSON object per line
+ */
+export function setLogFormat(format) {
+  globalSettings.format = format === "json" ? "json" : "text";
+}
+
+/**
+ * Send the logs to another logger instead of the console
+ * @param {object|null} logger - Logger with debug/info/warn/error methods; null logs to the console again
+ * @param {string} [style] - 'pino' (default) calls `logger.info(fields, message)`,
+ *   'winston' calls `logger.info(message, fields)`
+ */
+export function setLogger(logger, style = "pino") {
+  globalSettings.logger = logger || null;
+  globalSettings.loggerStyle = style;
+}
+
+/**
+ * Apply the logging options of a configuration to the whole process
+ * @param {{level: string, format: string, logger: object|null, loggerStyle: string}} logging - Logging options
+ */
+export function configureLogging({ level, format, logger, loggerStyle }) {
+  setLogLevel(level);
+  setLogFormat(format);
+  setLogger(logger, loggerStyle);
+}
+
+/**
+ * Run a function with its own logging options. The process-wide settings
+ * are left untouched, and apply again once the function returns.
+ * @param {{level: string, format: string, logger: object|null, loggerStyle: string}} logging - Logging options
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of the function
+ */
+export function withLogging({ level, format, logger, loggerStyle }, fn) {
+  return logSettings.run(
+    {
+      level: toLevel(level),
+      format: format === "json" ? "json" : "text",
+      logger: logger || null,
+      loggerStyle: loggerStyle || "pino",
+    },
+    fn
+  );
+}
+
+/**
+ * Run a function with fields added to every message it logs
+ * @param {object} fields - Fields such as `url` and `phase`
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of the function
+ */
+export function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Log a message at a level, as text or JSON on the console or through the
+ * custom logger
+ * @param {string} level - Level name
+ * @param {Function} consoleMethod - Console method for the text format
+ * @param {string|null} prefix - Prefix for the text format
+ * @param {Array} args - Message parts, like console.log
+ */
+function write(level, consoleMethod, prefix, args) {
+  const { format, logger, loggerStyle } = getSettings();
+  if (format === "text" && !logger) {
+    consoleMethod(...(prefix ? [prefix, ...args] : args));
+    return;
+  }
+
+  const fields = { ...logContext.getStore() };
+  const err = args.find((arg) => arg instanceof Error);
+  if (err) {
+    fields.error = { name: err.name, message: err.message, stack: err.stack };
+  }
+  const message = util.format(
+    ...args.map((arg) => (arg instanceof Error ? arg.message : arg))
+  );
+
+  if (logger) {
+    const method = logger[level] ? level : "info";
+    if (loggerStyle === "winston") {
+      logger[method](message, fields);
+    } else {
+      logger[method](fields, message);
+    }
+    return;
+  }
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...fields,
+  });
+  const stream =
+    level === "warn" || level === "error" ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
 }
 
 /**
  * Log a debug message
  */
 export function debug(...args) {
-  if (currentLogLevel <= LOG_LEVELS.DEBUG) {
-    console.debug("[DEBUG]", ...args);
+  if (getSettings().level <= LOG_LEVELS.DEBUG) {
+    write("debug", console.debug, "[DEBUG]", args);
   }
 }
 
@@ -38,8 +186,8 @@ export function debug(...args) {
  * Log an info message
  */
 export function info(...args) {
-  if (currentLogLevel <= LOG_LEVELS.INFO) {
-    console.log(...args);
+  if (getSettings().level <= LOG_LEVELS.INFO) {
+    write("info", console.log, null, args);
   }
 }
 
@@ -47,8 +195,8 @@ export function info(...args) {
  * Log a warning message
  */
 export function warn(...args) {
-  if (currentLogLevel <= LOG_LEVELS.WARN) {
-    console.warn("[WARN]", ...args);
+  if (getSettings().level <= LOG_LEVELS.WARN) {
+    write("warn", console.warn, "[WARN]", args);
   }
 }
 
@@ -56,7 +204,7 @@ export function warn(...args) {
  * Log an error message
  */
 export function error(...args) {
-  if (currentLogLevel <= LOG_LEVELS.ERROR) {
-    console.error("[ERROR]", ...args);
+  if (getSettings().level <= LOG_LEVELS.ERROR) {
+    write("error", console.error, "[ERROR]", args);
   }
 }
@@ -0,0 +1,20 @@
+/**
+ * Marker links used to find where headings and internal links end up in the
+ * printed PDF. Chrome turns every visible link into an annotation carrying its
+ * exact page and rectangle; the merger reads these back and removes them.
+ */
+
+export const MARKER_PREFIX = "https://docexport.invalid/";
+
+/**
+ * Parse a marker URI
+ * @param {string} uri - Link URI from a PDF annotation
+ * @returns {{type: string, index: number}|null} Marker type ("heading" or "link") and index, or null
+ */
+export function parseMarker(uri) {
+  if (!uri || !uri.startsWith(MARKER_PREFIX)) {
+    return null;
+  }
+  const [type, index] = uri.slice(MARKER_PREFIX.length).split("/");
+  return { type, index: parseInt(index, 10) };
+}
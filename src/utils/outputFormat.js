@@ -0,0 +1,57 @@
+/**
+ * Output formats of an export
+ */
+
+import path from "path";
+
+/**
+ * Supported values of output.format: one merged PDF, a folder of per-page
+ * PDFs with an index, one self-contained HTML file, or an EPUB 3 book
+ */
+export const OUTPUT_FORMATS = ["pdf", "pdf-pages", "html", "epub"];
+
+/**
+ * Extension of the file written for each format, the folder format has none
+ */
+const FORMAT_EXTENSIONS = {
+  pdf: ".pdf",
+  "pdf-pages": "",
+  html: ".html",
+  epub: ".epub",
+};
+
+/**
+ * Check whether a format is built from the HTML content of each page
+ * rather than from printed PDFs
+ * @param {string} format - Output format
+ * @returns {boolean} True for "html" and "epub"
+ */
+export function capturesHtml(format) {
+  return format === "html" || format === "epub";
+}
+
+/**
+ * Extension of the per-page files rendered for a format
+ * @param {string} format - Output format
+ * @returns {string} ".html" or ".pdf"
+ */
+export function getPageExtension(format) {
+  return capturesHtml(format) ? ".html" : ".pdf";
+}
+
+/**
+ * Adapt an output path to a format: "manual.pdf" becomes "manual.epub",
+ * or the "manual" folder for per-page PDFs. Other extensions are kept.
+ * @param {string} outputPath - Output path given to the export
+ * @param {string} format - Output format
+ * @returns {string} Output path for the format
+ */
+export function resolveFormatPath(outputPath, format) {
+  const ext = path.extname(outputPath);
+  if (ext && ext.toLowerCase() !== ".pdf") {
+    return outputPath;
+  }
+  return `${outputPath.slice(0, outputPath.length - ext.length)}${
+    FORMAT_EXTENSIONS[format]
+  }`;
+}
@@ -0,0 +1,129 @@
+/**
+ * Helpers for the outputs built from exported pages other than the merged
+ * PDF: the sidebar tree of the pages, and the resolution of internal links
+ */
+
+import { MARKER_PREFIX } from "./markers.js";
+import { normalizeUrl } from "./url.js";
+import { escapeHtml } from "./template.js";
+
+/**
+ * Nest exported pages under their sidebar categories, in export order
+ * @param {Array<{title: string, url: string, categories?: string[]}>} pages - Export metadata
+ * @returns {Array<{title: string, index: number|null, children: Array}>} Root nodes; `index` is the page index, null for categories
+ */
+export function buildPageTree(pages) {
+  const root = { children: [] };
+  const categoryNodes = new Map();
+
+  pages.forEach((page, index) => {
+    let parent = root;
+    const categoryPath = [];
+    for (const label of page.categories || []) {
+      categoryPath.push(label);
+      const key = categoryPath.join("\u0000");
+      let categoryNode = categoryNodes.get(key);
+      if (!categoryNode) {
+        categoryNode = { title: label, index: null, children: [] };
+        parent.children.push(categoryNode);
+        categoryNodes.set(key, categoryNode);
+      }
+      parent = categoryNode;
+    }
+    parent.children.push({
+      title: page.title || page.url,
+      index,
+      children: [],
+    });
+  });
+
+  return root.children;
+}
+
+/**
+ * Render a page tree as nested HTML lists
+ * @param {Array<{title: string, index: number|null, children: Array}>} nodes - Nodes from buildPageTree()
+ * @param {(index: number) => string} hrefFor - Link to a page
+ * @returns {string} `<ol>` markup, well-formed XHTML
+ */
+export function renderPageTree(nodes, hrefFor) {
+  const items = nodes.map((node) => {
+    const label =
+      node.index === null
+        ? `<span>${escapeHtml(node.title)}</span>`
+        : `<a href="${escapeHtml(hrefFor(node.index))}">${escapeHtml(
+            node.title
+          )}</a>`;
+    const children =
+      node.children.length > 0 ? renderPageTree(node.children, hrefFor) : "";
+    return `<li>${label}${children}</li>`;
+  });
+  return `<ol>${items.join("")}</ol>`;
+}
+
+/**
+ * Find the exported page a link points to
+ * @param {Array<{url: string}>} pages - Export metadata
+ * @param {string} target - Absolute link target
+ * @returns {{index: number, id: string}|null} Page index and fragment id, or null if the page was not exported
+ */
+export function findLinkTarget(pages, target) {
+  const key = normalizeUrl(target);
+  const index = pages.findIndex((page) => normalizeUrl(page.url) === key);
+  if (index === -1) {
+    return null;
+  }
+  const { hash } = new URL(target);
+  return { index, id: decodeURIComponent(hash.slice(1)) };
+}
+
+/**
+ * Replace the link markers of captured page content. Links to exported pages
+ * get the href built by `hrefFor`; others, and the absolute links of the
+ * content, get the href built by `externalHref`, or none to become plain text.
+ * @param {string} content - Captured XHTML content
+ * @param {Array<{target: string}>} links - Internal links of the page, indexed like their markers
+ * @param {Array<{url: string, mergeError?: Error}>} pages - Export metadata of every page of the output; pages with a mergeError are not linked to
+ * @param {(index: number, id: string) => string} hrefFor - Link to a page and fragment id
+ * @param {(target: string) => string|null} [externalHref] - Link to a URL outside the output, null to drop the link
+ * @returns {string} Content with resolved links
+ */
+export function resolveContentLinks(
+  content,
+  links,
+  pages,
+  hrefFor,
+  externalHref = (target) => target
+) {
+  const linkMarker = `${MARKER_PREFIX}link/`;
+  const toAttribute = (href) => (href ? ` href="${escapeHtml(href)}"` : "");
+
+  return content.replace(/\shref="(https?:[^"]*)"/g, (match, value) => {
+    if (!value.startsWith(linkMarker)) {
+      return toAttribute(externalHref(unescapeHtml(value)));
+    }
+    const link = links[Number(value.slice(linkMarker.length))];
+    if (!link) {
+      return "";
+    }
+    const destination = findLinkTarget(pages, link.target);
+    return toAttribute(
+      destination && !pages[destination.index].mergeError
+        ? hrefFor(destination.index, destination.id)
+        : externalHref(link.target)
+    );
+  });
+}
+
+/**
+ * Decode the entities escapeHtml() and XMLSerializer produce
+ * @param {string} value - Attribute value
+ * @returns {string} Decoded value
+ */
+function unescapeHtml(value) {
+  return value.replace(
+    /&(amp|lt|gt|quot|#39|apos);/g,
+    (match, name) =>
+      ({ amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'", apos: "'" }[name])
+  );
+}
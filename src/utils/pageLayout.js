@@ -0,0 +1,59 @@
+import { ExportError } from "./errors.js";
+import { toPixels } from "./units.js";
+
+/**
+ * Paper sizes supported by the paginated layout (portrait width, height)
+ */
+export const PAPER_SIZES = {
+  a3: ["297mm", "420mm"],
+  a4: ["210mm", "297mm"],
+  a5: ["148mm", "210mm"],
+  letter: ["8.5in", "11in"],
+  legal: ["8.5in", "14in"],
+  tabloid: ["11in", "17in"],
+};
+
+/**
+ * Resolve the page geometry used to print each doc
+ * @param {object} pdfConfig - The `pdf` section of the configuration
+ * @returns {{paginated: boolean, width: string, height: string|null, margins: object, printableWidth: number}}
+ *   Page geometry; height is null in continuous mode (measured per page)
+ */
+export function getPageLayout(pdfConfig) {
+  if (pdfConfig.layout === "continuous") {
+    return {
+      paginated: false,
+      width: pdfConfig.width,
+      height: null,
+      margins: pdfConfig.margins,
+      printableWidth:
+        toPixels(pdfConfig.width) -
+        toPixels(pdfConfig.margins.left) -
+        toPixels(pdfConfig.margins.right),
+    };
+  }
+
+  if (pdfConfig.layout !== "paginated") {
+    throw new ExportError(
+      `Unknown pdf.layout "${pdfConfig.layout}". Expected "continuous" or "paginated"`
+    );
+  }
+
+  const { format, landscape, margins } = pdfConfig.paper;
+  const size = PAPER_SIZES[String(format).toLowerCase()];
+  if (!size) {
+    throw new ExportError(
+      `Unknown paper format "${format}". Expected one of: ${Object.keys(PAPER_SIZES).join(", ")}`
+    );
+  }
+
+  const [width, height] = landscape ? [size[1], size[0]] : size;
+  return {
+    paginated: true,
+    width,
+    height,
+    margins,
+    printableWidth:
+      toPixels(width) - toPixels(margins.left) - toPixels(margins.right),
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Glob and regex pattern helpers for page filters
+ */
+
+import { ConfigError } from "./errors.js";
+
+/**
+ * Prefix marking a string pattern as a regular expression (e.g. "re:^/docs/v\d+/")
+ */
+export const REGEX_PREFIX = "re:";
+
+/**
+ * Convert a glob to a regular expression.
+ * `*` and `?` stay within a path segment, `**` spans segments, and a trailing
+ * `/**` also matches the directory itself (/docs/api/** matches /docs/api).
+ * @param {string} glob - Glob pattern
+ * @param {string} flags - Regular expression flags
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(glob, flags = "") {
+  const tokens = glob.match(/\*\*\/|\/\*\*$|\*\*|\*|\?|\/|[^*?/]+/g) || [];
+  const source = tokens
+    .map((token) => {
+      switch (token) {
+        case "**/":
+          return "(?:.*/)?";
+        case "/**":
+          return "(?:/.*)?";
+        case "**":
+          return ".*";
+        case "*":
+          return "[^/]*";
+        case "?":
+          return "[^/]";
+        default:
+          return token.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+      }
+    })
+    .join("");
+  return new RegExp(`^${source}$`, flags);
+}
+
+/**
+ * Build a matcher from a glob, a "re:" prefixed string or a RegExp
+ * @param {string|RegExp} pattern - Pattern to match with
+ * @param {{ignoreCase?: boolean}} options - Match case-insensitively (globs and "re:" strings only)
+ * @returns {(value: string) => boolean} Matcher
+ * @throws {ConfigError} If a "re:" pattern is not a valid regular expression
+ */
+export function createMatcher(pattern, { ignoreCase = false } = {}) {
+  const flags = ignoreCase ? "i" : "";
+  let regex;
+  if (pattern instanceof RegExp) {
+    regex = pattern;
+  } else if (String(pattern).startsWith(REGEX_PREFIX)) {
+    try {
+      regex = new RegExp(String(pattern).slice(REGEX_PREFIX.length), flags);
+    } catch (err) {
+      throw new ConfigError(
+        `Invalid regular expression in filter pattern "${pattern}": ${err.message}`,
+        err
+      );
+    }
+  } else {
+    regex = globToRegExp(String(pattern), flags);
+  }
+  // Global and sticky regexes keep state between test() calls
+  return (value) => {
+    regex.lastIndex = 0;
+    return regex.test(value);
+  };
+}
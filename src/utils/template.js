@@ -0,0 +1,48 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const TEMPLATES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../templates"
+);
+
+/**
+ * Escape a value for use in HTML text or attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Load a template, from a user-supplied file or from the bundled templates
+ * @param {string|null} templatePath - Path to a custom template
+ * @param {string} defaultName - File name of the bundled template
+ * @returns {string} Template source
+ */
+export function loadTemplate(templatePath, defaultName) {
+  const file = templatePath
+    ? path.resolve(process.cwd(), templatePath)
+    : path.join(TEMPLATES_DIR, defaultName);
+  return fs.readFileSync(file, "utf8");
+}
+
+/**
+ * Render a template: {{key}} is replaced by the escaped value,
+ * {{{key}}} by the raw value
+ * @param {string} template - Template source
+ * @param {object} values - Values by key
+ * @returns {string} Rendered HTML
+ */
+export function renderTemplate(template, values) {
+  return template
+    .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (_, key) => String(values[key] ?? ""))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => escapeHtml(values[key]));
+}
@@ -0,0 +1,47 @@
+/**
+ * CSS length conversion helpers shared by the PDF services
+ */
+
+/**
+ * Number of PDF points in one CSS pixel (96px = 72pt)
+ */
+export const PX_TO_PT = 0.75;
+
+const UNIT_TO_PX = {
+  px: 1,
+  pt: 1 / PX_TO_PT,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+};
+
+/**
+ * Convert a CSS length ("40px", "1in", "10mm", 12) to CSS pixels
+ * @param {string|number} value - Length to convert, numbers are treated as pixels
+ * @returns {number} Length in CSS pixels
+ */
+export function toPixels(value) {
+  if (typeof value === "number") {
+    return value;
+  }
+  if (!value) {
+    return 0;
+  }
+
+  const match = String(value).trim().match(/^(-?[\d.]+)\s*([a-z]*)$/i);
+  if (!match) {
+    return 0;
+  }
+
+  const unit = match[2].toLowerCase() || "px";
+  return parseFloat(match[1]) * (UNIT_TO_PX[unit] ?? 1);
+}
+
+/**
+ * Convert a CSS length to PDF points
+ * @param {string|number} value - Length to convert
+ * @returns {number} Length in PDF points
+ */
+export function toPoints(value) {
+  return toPixels(value) * PX_TO_PT;
+}
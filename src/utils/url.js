@@ -0,0 +1,63 @@
+/**
+ * URL helpers for matching pages across the export pipeline
+ */
+
+/**
+ * Normalize a page URL so that the same doc always yields the same key
+ * (hash and query are dropped, trailing slashes are ignored)
+ * @param {string} url - Absolute URL to normalize
+ * @returns {string} Normalized URL
+ */
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    parsed.search = "";
+    if (parsed.pathname.length > 1) {
+      parsed.pathname = parsed.pathname.replace(/\/+$/, "");
+    }
+    return parsed.toString();
+  } catch (err) {
+    return url;
+  }
+}
+
+/**
+ * Resolve the path prefix that discovered pages must live under.
+ * Defaults to the directory of the start URL (e.g. /docs/ for /docs/intro).
+ * @param {string} baseUrl - Start URL of the export
+ * @param {string|null} pathPrefix - Explicit prefix from the configuration
+ * @returns {string} Path prefix
+ */
+export function resolvePathPrefix(baseUrl, pathPrefix) {
+  if (pathPrefix) {
+    return pathPrefix.startsWith("/") ? pathPrefix : `/${pathPrefix}`;
+  }
+  const { pathname } = new URL(baseUrl);
+  return pathname.slice(0, pathname.lastIndexOf("/") + 1) || "/";
+}
+
+/**
+ * Check whether a URL lives under a path prefix
+ * @param {string} url - Absolute URL
+ * @param {string} prefix - Path prefix
+ * @returns {boolean} True if the URL path starts with the prefix
+ */
+export function matchesPathPrefix(url, prefix) {
+  const { pathname } = new URL(url);
+  return pathname.startsWith(prefix) || `${pathname}/` === prefix;
+}
+
+/**
+ * Drop the origin of a same-origin URL, so that it survives a change of
+ * origin, such as the random port of the local static server
+ * @param {string} url - Absolute URL
+ * @param {string} origin - Origin of the site
+ * @returns {string} Path, query and hash for a same-origin URL, the URL otherwise
+ */
+export function toSiteRelative(url, origin) {
+  const parsed = new URL(url);
+  return parsed.origin === origin
+    ? `${parsed.pathname}${parsed.search}${parsed.hash}`
+    : url;
+}
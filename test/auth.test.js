@@ -0,0 +1,195 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { chromium, request } from "playwright";
+import { DocusaurusPdfExporter } from "../src/services/Exporter.js";
+import { SitemapDiscovery } from "../src/services/SitemapDiscovery.js";
+import { resolveConfig } from "../src/config/loader.js";
+import {
+  getAuthContextOptions,
+  getAuthHeaders,
+  routeAuthHeaders,
+} from "../src/utils/auth.js";
+import { setLogLevel } from "../src/utils/logger.js";
+
+const TOKEN = "s3cret-token";
+const BASIC = `Basic ${Buffer.from("ci:pa55").toString("base64")}`;
+
+/**
+ * Start an HTTP server on a free port
+ * @param {string} host - Host name the server is reached at
+ * @param {Function} handler - Request handler
+ * @returns {Promise<{server: http.Server, url: string}>} Server and its URL
+ */
+function listen(host, handler) {
+  const server = http.createServer(handler);
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ server, url: `http://${host}:${server.address().port}` });
+    });
+  });
+}
+
+let site;
+let thirdParty;
+const thirdPartyRequests = [];
+
+before(async () => {
+  setLogLevel("error");
+  process.env.DOCEXPORT_TEST_TOKEN = TOKEN;
+
+  // Another origin, like a CDN or an analytics host
+  thirdParty = await listen("localhost", (req, res) => {
+    thirdPartyRequests.push(req.headers);
+    if (req.url === "/sitemap.xml") {
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.end("<urlset><url><loc>/docs/mirror</loc></url></urlset>");
+      return;
+    }
+    res.writeHead(204).end();
+  });
+
+  site = await listen("127.0.0.1", (req, res) => {
+    if (req.headers.authorization !== BASIC) {
+      res.writeHead(401, { "WWW-Authenticate": 'Basic realm="docs"' });
+      res.end("Unauthorized");
+      return;
+    }
+    if (req.headers["x-docs-token"] !== TOKEN) {
+      res.writeHead(403).end("Forbidden");
+      return;
+    }
+    if (req.url === "/sitemap.xml") {
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.end(
+        "<urlset><url><loc>https://docs.example.com/docs/intro</loc></url></urlset>"
+      );
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.end(
+      `<html><body><h1>Docs</h1><img src="${thirdParty.url}/pixel.gif"></body></html>`
+    );
+  });
+});
+
+after(() => {
+  site.server.close();
+  thirdParty.server.close();
+  delete process.env.DOCEXPORT_TEST_TOKEN;
+});
+
+test("credentials are limited to the site origin", () => {
+  const options = getAuthContextOptions(
+    { username: "ci", password: "pa55", headers: null, storageState: null },
+    "https://docs.example.com"
+  );
+  assert.deepEqual(options, {
+    httpCredentials: {
+      username: "ci",
+      password: "pa55",
+      origin: "https://docs.example.com",
+    },
+  });
+});
+
+test("headers are only added to requests to the site origin", async () => {
+  const headers = getAuthHeaders({
+    headers: { "X-Docs-Token": "env:DOCEXPORT_TEST_TOKEN" },
+  });
+  assert.deepEqual(headers, { "X-Docs-Token": TOKEN });
+
+  let matches;
+  let handler;
+  const context = {
+    route: async (url, callback) => {
+      matches = url;
+      handler = callback;
+    },
+  };
+  await routeAuthHeaders(context, "https://docs.example.com", headers);
+  assert.equal(matches(new URL("https://docs.example.com/docs/intro")), true);
+  assert.equal(matches(new URL("https://cdn.example.com/lib.js")), false);
+  assert.equal(matches(new URL("https://docs.example.com:8443/")), false);
+
+  let continued;
+  await handler({
+    request: () => ({ headers: () => ({ accept: "text/html" }) }),
+    continue: async (options) => {
+      continued = options;
+    },
+  });
+  assert.deepEqual(continued.headers, {
+    accept: "text/html",
+    "X-Docs-Token": TOKEN,
+  });
+});
+
+test("sitemap discovery sends the headers to the site origin only", async () => {
+  const auth = {
+    username: "ci",
+    password: "pa55",
+    headers: { "X-Docs-Token": "env:DOCEXPORT_TEST_TOKEN" },
+  };
+  // page.request shares the options of the browser context
+  const api = await request.newContext(
+    getAuthContextOptions(auth, new URL(site.url).origin)
+  );
+  try {
+    const discover = (sitemapUrl) =>
+      new SitemapDiscovery(
+        { request: api },
+        resolveConfig({ auth, discovery: { strategy: "sitemap", sitemapUrl } })
+      ).discover(`${site.url}/docs/`);
+
+    // The site answers 403 without the header
+    const pages = await discover(null);
+    assert.deepEqual(
+      pages.map((page) => page.url),
+      [`${site.url}/docs/intro`]
+    );
+
+    thirdPartyRequests.length = 0;
+    await discover(`${thirdParty.url}/sitemap.xml`);
+    assert.equal(thirdPartyRequests.length, 1);
+    assert.equal(thirdPartyRequests[0]["x-docs-token"], undefined);
+    assert.equal(thirdPartyRequests[0].authorization, undefined);
+  } finally {
+    await api.dispose();
+  }
+});
+
+test("a protected site is reached without leaking credentials", async (t) => {
+  try {
+    const browser = await chromium.launch();
+    await browser.close();
+  } catch {
+    t.skip("Chromium is not installed, run `npx playwright install chromium`");
+    return;
+  }
+
+  const exporter = new DocusaurusPdfExporter(
+    resolveConfig({
+      auth: {
+        username: "ci",
+        password: "pa55",
+        headers: { "X-Docs-Token": "env:DOCEXPORT_TEST_TOKEN" },
+      },
+    })
+  );
+  try {
+    await exporter.initialize(site.url);
+    const response = await exporter.page.goto(site.url, {
+      waitUntil: "load",
+    });
+    assert.equal(response.status(), 200);
+  } finally {
+    await exporter.browser?.close();
+  }
+
+  assert.ok(thirdPartyRequests.length > 0, "the image was requested");
+  for (const headers of thirdPartyRequests) {
+    assert.equal(headers["x-docs-token"], undefined);
+    assert.equal(headers.authorization, undefined);
+  }
+});
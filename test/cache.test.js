@@ -0,0 +1,82 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PageCache } from "../src/services/PageCache.js";
+import { resolveConfig } from "../src/config/loader.js";
+import { setLogLevel } from "../src/utils/logger.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a cache directory holding entries last used at the given times
+ * @param {object} t - Test context, removing the directory once the test ends
+ * @param {Object<string, number>} entries - Time of last use (ms) by key
+ * @returns {string} Cache directory
+ */
+function createCacheDir(t, entries) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "docexport-cache-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  for (const [key, lastUsed] of Object.entries(entries)) {
+    for (const ext of [".pdf", ".json"]) {
+      const file = path.join(dir, `${key}${ext}`);
+      fs.writeFileSync(file, "{}");
+      fs.utimesSync(file, new Date(lastUsed), new Date(lastUsed));
+    }
+  }
+  fs.writeFileSync(path.join(dir, "notes.txt"), "not an entry");
+  return dir;
+}
+
+/**
+ * List the keys of the entries left in a cache directory
+ * @param {string} dir - Cache directory
+ * @returns {string[]} Sorted keys
+ */
+function listKeys(dir) {
+  return [
+    ...new Set(fs.readdirSync(dir).map((name) => name.split(".")[0])),
+  ].sort();
+}
+
+const key = (char) => char.repeat(64);
+
+before(() => setLogLevel("error"));
+
+test("prune removes expired and least recently used entries", (t) => {
+  const now = Date.now();
+  const dir = createCacheDir(t, {
+    [key("a")]: now - 40 * DAY, // expired
+    [key("b")]: now - 10 * DAY,
+    [key("c")]: now - 5 * DAY,
+    [key("d")]: now - 2 * DAY,
+    [key("e")]: now, // used by the current export
+  });
+
+  const cache = new PageCache(
+    resolveConfig({ cache: { enabled: true, dir, maxAge: 30, maxEntries: 3 } })
+  );
+  const removed = cache.prune(now - 1000);
+
+  assert.equal(removed, 2);
+  assert.deepEqual(listKeys(dir), [key("c"), key("d"), key("e"), "notes"]);
+});
+
+test("entries used by the current export are kept over maxEntries", (t) => {
+  const now = Date.now();
+  const dir = createCacheDir(t, {
+    [key("c")]: now - 5 * DAY,
+    [key("d")]: now - 2 * DAY,
+    [key("e")]: now,
+  });
+
+  const cache = new PageCache(
+    resolveConfig({ cache: { enabled: true, dir, maxEntries: 1 } })
+  );
+  cache.prune(now - 3 * DAY);
+
+  // d and e were used after the start of the export
+  assert.deepEqual(listKeys(dir), [key("d"), key("e"), "notes"]);
+});
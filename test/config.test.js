@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveConfig } from "../src/config/loader.js";
+import { ConfigError } from "../src/utils/errors.js";
+
+test("counts must be positive integers", () => {
+  for (const overrides of [
+    { concurrency: 0 },
+    { concurrency: 2.5 },
+    { discovery: { maxPages: 0 } },
+  ]) {
+    assert.throws(() => resolveConfig(overrides), ConfigError);
+  }
+  assert.equal(resolveConfig({ concurrency: 4 }).concurrency, 4);
+});
+
+test("version and locale lists must not be empty", () => {
+  assert.throws(
+    () => resolveConfig({ variants: { versions: [] } }),
+    /"variants.versions" must list at least one entry/
+  );
+  assert.throws(
+    () => resolveConfig({ variants: { locales: [] } }),
+    /"variants.locales" must list at least one entry/
+  );
+});
+
+test("book lists must not be empty", () => {
+  assert.throws(
+    () => resolveConfig({ books: { entries: [] } }),
+    /"books.entries" must list at least one entry/
+  );
+});
+
+test("numbers must be finite", () => {
+  for (const overrides of [
+    { retry: { maxAttempts: NaN } },
+    { retry: { backoff: Infinity } },
+    { timeouts: { pageLoad: NaN } },
+  ]) {
+    assert.throws(() => resolveConfig(overrides), /must be a finite number/);
+  }
+  assert.throws(
+    () => resolveConfig({ retry: { maxAttempts: 0 } }),
+    /"retry.maxAttempts" must be an integer of at least 1/
+  );
+});
+
+test("the error classes are exported for instanceof checks", async () => {
+  const api = await import("../src/index.js");
+  const err = new api.AllPagesFailedError("No page could be exported");
+  assert.ok(err instanceof api.PdfExportError);
+  assert.ok(err instanceof api.ExportError);
+  assert.ok(new api.ConfigError("bad") instanceof api.ExportError);
+  for (const name of [
+    "SidebarError",
+    "LinkCollectionError",
+    "ConnectionError",
+    "PdfMergeError",
+    "StaticServerError",
+    "ExportAbortedError",
+  ]) {
+    assert.equal(typeof api[name], "function", name);
+  }
+});
@@ -0,0 +1,75 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { slugify, uniqueName } from "../src/utils/fileSystem.js";
+import { BookDetector } from "../src/services/BookDetector.js";
+import { VariantDetector } from "../src/services/VariantDetector.js";
+import { resolveConfig } from "../src/config/loader.js";
+import { setLogLevel } from "../src/utils/logger.js";
+
+before(() => setLogLevel("error"));
+
+test("slugify keeps letters of any script", () => {
+  assert.equal(slugify("1.0.0 (legacy)"), "1.0.0-legacy");
+  assert.equal(slugify("简体中文"), "简体中文");
+  assert.equal(slugify("Русский / API"), "русский-api");
+  assert.equal(slugify("../.."), "");
+  assert.equal(slugify("🚀"), "");
+});
+
+test("uniqueName falls back and numbers taken names", () => {
+  const names = new Set();
+  assert.equal(uniqueName("guide", names, "book"), "guide");
+  assert.equal(uniqueName("guide", names, "book"), "guide-2");
+  assert.equal(uniqueName("", names, "book"), "book");
+  assert.equal(uniqueName("", names, "book"), "book-2");
+});
+
+test("books with labels without letters get distinct names", async () => {
+  const config = resolveConfig({
+    books: {
+      entries: [
+        { url: "/docs/a", title: "🚀" },
+        { url: "/docs/b", title: "✨" },
+        { url: "/docs/c", title: "指南" },
+      ],
+    },
+  });
+  const books = await new BookDetector(null, config).detect(
+    "https://docs.example.com/"
+  );
+  assert.deepEqual(
+    books.map((book) => book.name),
+    ["book", "book-2", "指南"]
+  );
+});
+
+test("versions whose labels slugify alike get distinct names", async () => {
+  // Stands in for a browser page showing a version dropdown
+  const page = {
+    goto: async () => {},
+    evaluate: async () => ({
+      locale: "zh-Hans",
+      version: "",
+      locales: [],
+      versions: [
+        { label: "🚀", url: "https://docs.example.com/", active: true },
+        { label: "✨", url: "https://docs.example.com/next/", active: false },
+        { label: "1.x", url: "https://docs.example.com/1.x/", active: false },
+      ],
+    }),
+  };
+  const detector = new VariantDetector(
+    page,
+    resolveConfig({ variants: { versions: "all" } })
+  );
+
+  const variants = await detector.detect("https://docs.example.com/");
+  assert.deepEqual(
+    variants.map(({ version, locale }) => [version, locale]),
+    [
+      ["version", "zh-hans"],
+      ["version-2", "zh-hans"],
+      ["1.x", "zh-hans"],
+    ]
+  );
+});
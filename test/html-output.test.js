@@ -0,0 +1,104 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { HtmlDocumentWriter } from "../src/services/HtmlDocumentWriter.js";
+import { resolveConfig } from "../src/config/loader.js";
+import { MARKER_PREFIX } from "../src/utils/markers.js";
+import { setLogLevel } from "../src/utils/logger.js";
+
+const LOCAL = "http://127.0.0.1:43210";
+
+let dir;
+
+/**
+ * Write the captured content of a page
+ * @param {string} name - File name
+ * @param {string} content - XHTML content
+ * @returns {string} Path of the file
+ */
+function writeContent(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+before(() => {
+  setLogLevel("error");
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "docexport-html-"));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("HTML document links exported pages and unlinks the local build", () => {
+  const pages = [
+    {
+      url: `${LOCAL}/docs/intro`,
+      title: "Introduction",
+      categories: [],
+      headings: [{ id: "install", level: 2, text: "Install" }],
+      links: [
+        { target: `${LOCAL}/docs/setup#usage` },
+        { target: `${LOCAL}/docs/not-exported` },
+        { target: `${LOCAL}/docs/broken` },
+      ],
+      path: writeContent(
+        "intro.xhtml",
+        `<div><h2 id="install">Install</h2>` +
+          `<a href="${MARKER_PREFIX}link/0">Setup</a>` +
+          `<a href="${MARKER_PREFIX}link/1">Elsewhere</a>` +
+          `<a href="${MARKER_PREFIX}link/2">Broken</a>` +
+          `<a href="${LOCAL}/assets/files/guide.pdf">Download</a>` +
+          `<a href="https://github.com/facebook/docusaurus?a=1&amp;b=2">GitHub</a></div>`
+      ),
+    },
+    {
+      url: `${LOCAL}/docs/setup`,
+      title: "Setup",
+      categories: ["Guides"],
+      headings: [{ id: "usage", level: 2, text: "Usage" }],
+      links: [],
+      path: writeContent("setup.xhtml", `<div><h2 id="usage">Usage</h2></div>`),
+    },
+    {
+      url: `${LOCAL}/docs/broken`,
+      title: "Broken",
+      categories: ["Guides"],
+      headings: [],
+      links: [],
+      path: path.join(dir, "missing.xhtml"),
+    },
+  ];
+  const outputPath = path.join(dir, "docs.html");
+
+  new HtmlDocumentWriter(resolveConfig({})).write(pages, outputPath, {
+    title: "Docs",
+    version: null,
+    lang: "en",
+    siteStyles: "",
+    externalHref: (target) =>
+      new URL(target).origin === LOCAL ? null : target,
+  });
+  const html = fs.readFileSync(outputPath, "utf8");
+
+  // Exported pages and their headings are linked inside the document
+  assert.match(html, /<a href="#p1-usage">Setup<\/a>/);
+  assert.match(html, /<h2 id="p0-install">/);
+
+  // Pages outside the document and files of the local build become plain text
+  assert.match(html, /<a>Elsewhere<\/a>/);
+  assert.match(html, /<a>Broken<\/a>/);
+  assert.match(html, /<a>Download<\/a>/);
+  assert.doesNotMatch(html, /127\.0\.0\.1/);
+  assert.match(
+    html,
+    /<a href="https:\/\/github\.com\/facebook\/docusaurus\?a=1&amp;b=2">GitHub<\/a>/
+  );
+
+  // The page that could not be read is left out of the contents
+  assert.ok(pages[2].mergeError);
+  assert.doesNotMatch(html, /id="page-2"/);
+  const toc = html.slice(html.indexOf('<nav class="docexport-toc">'));
+  assert.doesNotMatch(toc.slice(0, toc.indexOf("</nav>")), /Broken/);
+});
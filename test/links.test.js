@@ -0,0 +1,99 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFString,
+} from "pdf-lib";
+import { PdfMerger } from "../src/services/PdfMerger.js";
+import { resolveConfig } from "../src/config/loader.js";
+import { MARKER_PREFIX } from "../src/utils/markers.js";
+import { setLogLevel } from "../src/utils/logger.js";
+
+let dir;
+
+/**
+ * Write a one-page fixture PDF with marker annotations, like PdfExporter prints them
+ * @param {string} name - File name
+ * @param {Array<{marker: string, top: number}>} markers - Marker path ("link/0", "heading/0") and position
+ * @returns {Promise<string>} Path of the PDF
+ */
+async function writeFixture(name, markers) {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([600, 800]);
+  for (const { marker, top } of markers) {
+    const annot = pdfDoc.context.register(
+      pdfDoc.context.obj({
+        Type: "Annot",
+        Subtype: "Link",
+        Rect: [40, top - 20, 300, top],
+        A: { S: "URI", URI: PDFString.of(`${MARKER_PREFIX}${marker}`) },
+      })
+    );
+    page.node.addAnnot(annot);
+  }
+
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, await pdfDoc.save());
+  return file;
+}
+
+before(() => {
+  setLogLevel("error");
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "docexport-links-"));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("links to exported pages become internal destinations", async () => {
+  const metadata = [
+    {
+      url: "https://docs.example.com/docs/intro",
+      title: "Introduction",
+      categories: [],
+      headings: [],
+      links: [
+        { target: "https://docs.example.com/docs/setup#usage" },
+        { target: "https://docs.example.com/docs/not-exported" },
+      ],
+      path: await writeFixture("intro.pdf", [
+        { marker: "link/0", top: 700 },
+        { marker: "link/1", top: 600 },
+      ]),
+    },
+    {
+      url: "https://docs.example.com/docs/setup",
+      title: "Setup",
+      categories: [],
+      headings: [{ level: 2, text: "Usage", id: "usage" }],
+      links: [],
+      path: await writeFixture("setup.pdf", [
+        { marker: "heading/0", top: 500 },
+      ]),
+    },
+  ];
+  const outputPath = path.join(dir, "merged.pdf");
+
+  await new PdfMerger(resolveConfig({})).merge(metadata, outputPath);
+
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(outputPath));
+  const [intro, setup] = pdfDoc.getPages();
+
+  // The link to the missing page is dropped, its text stays as plain text
+  const annots = intro.node.Annots();
+  assert.equal(annots.size(), 1);
+
+  // The other one jumps to the heading on the second page
+  const annot = pdfDoc.context.lookup(annots.get(0), PDFDict);
+  assert.equal(annot.get(PDFName.of("A")), undefined);
+  const dest = annot.lookup(PDFName.of("Dest"), PDFArray);
+  assert.equal(dest.get(0), setup.ref);
+  assert.equal(dest.get(1), PDFName.of("XYZ"));
+  assert.equal(dest.lookup(3, PDFNumber).asNumber(), 500);
+});
@@ -0,0 +1,70 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  info,
+  warn,
+  setLogLevel,
+  setLogger,
+  withLogContext,
+  withLogging,
+} from "../src/utils/logger.js";
+
+/**
+ * Logger recording the arguments of each call
+ * @returns {{calls: Array<[string, Array]>}} Logger
+ */
+function recordingLogger() {
+  const calls = [];
+  const logger = { calls };
+  for (const level of ["debug", "info", "warn", "error"]) {
+    logger[level] = (...args) => calls.push([level, args]);
+  }
+  return logger;
+}
+
+after(() => {
+  setLogger(null);
+  setLogLevel("info");
+});
+
+test("custom loggers are called pino-style or winston-style", () => {
+  const pino = recordingLogger();
+  const winston = recordingLogger();
+  const log = () =>
+    withLogContext({ phase: "render" }, () => info("Exported", 3, "pages"));
+
+  withLogging({ level: "info", logger: pino }, log);
+  withLogging({ level: "info", logger: winston, loggerStyle: "winston" }, log);
+
+  assert.deepEqual(pino.calls, [
+    ["info", [{ phase: "render" }, "Exported 3 pages"]],
+  ]);
+  assert.deepEqual(winston.calls, [
+    ["info", ["Exported 3 pages", { phase: "render" }]],
+  ]);
+});
+
+test("logging options only apply inside withLogging", async () => {
+  const global = recordingLogger();
+  const first = recordingLogger();
+  const second = recordingLogger();
+  setLogger(global);
+  setLogLevel("info");
+
+  // Two exports running at the same time keep their own options
+  await Promise.all([
+    withLogging({ level: "warn", logger: first }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      info("hidden");
+      warn("first");
+    }),
+    withLogging({ level: "debug", logger: second }, async () => {
+      info("second");
+    }),
+  ]);
+  info("outside");
+
+  assert.deepEqual(first.calls, [["warn", [{}, "first"]]]);
+  assert.deepEqual(second.calls, [["info", [{}, "second"]]]);
+  assert.deepEqual(global.calls, [["info", [{}, "outside"]]]);
+});
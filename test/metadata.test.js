@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFRawStream,
+  PDFString,
+  PDFHexString,
+} from "pdf-lib";
+import { MetadataWriter } from "../src/services/MetadataWriter.js";
+
+test("document properties, language and XMP are written", async () => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage();
+  const date = new Date("2026-03-01T12:00:00Z");
+
+  new MetadataWriter(pdfDoc).write(
+    {
+      title: "Guide de l'utilisateur",
+      author: "Docs & Co",
+      subject: "Installer et configurer",
+      keywords: ["docusaurus", "pdf export", ""],
+      language: "fr-FR",
+      version: "2.x",
+    },
+    date
+  );
+
+  // Read back from the saved file, like a viewer would
+  const saved = await PDFDocument.load(await pdfDoc.save(), {
+    updateMetadata: false,
+  });
+  assert.equal(saved.getTitle(), "Guide de l'utilisateur");
+  assert.equal(saved.getAuthor(), "Docs & Co");
+  assert.equal(saved.getSubject(), "Installer et configurer");
+  assert.equal(saved.getKeywords(), "docusaurus, pdf export");
+  assert.match(saved.getProducer(), /^docusaurus-export-pdf /);
+  assert.equal(saved.getCreationDate().toISOString(), date.toISOString());
+
+  const info = saved.context.lookup(saved.context.trailerInfo.Info, PDFDict);
+  const docVersion = info.lookup(PDFName.of("DocVersion"));
+  assert.ok(
+    docVersion instanceof PDFHexString || docVersion instanceof PDFString
+  );
+  assert.equal(docVersion.decodeText(), "2.x");
+
+  const lang = saved.catalog.lookup(PDFName.of("Lang"));
+  assert.equal(lang.decodeText(), "fr-FR");
+  const viewerPreferences = saved.catalog.lookup(
+    PDFName.of("ViewerPreferences"),
+    PDFDict
+  );
+  assert.equal(
+    viewerPreferences.get(PDFName.of("DisplayDocTitle")).asBoolean(),
+    true
+  );
+
+  const metadata = saved.catalog.lookup(PDFName.of("Metadata"), PDFRawStream);
+  assert.equal(metadata.dict.get(PDFName.of("Subtype")), PDFName.of("XML"));
+  const xmp = Buffer.from(metadata.getContents()).toString("utf8");
+  assert.match(
+    xmp,
+    /<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Guide de l&#39;utilisateur<\/rdf:li>/
+  );
+  assert.match(xmp, /<dc:creator><rdf:Seq><rdf:li>Docs &amp; Co<\/rdf:li>/);
+  assert.match(xmp, /<rdf:li>docusaurus<\/rdf:li><rdf:li>pdf export<\/rdf:li>/);
+  assert.match(xmp, /<dc:language><rdf:Bag><rdf:li>fr-FR<\/rdf:li>/);
+  assert.match(
+    xmp,
+    /<xmp:CreateDate>2026-03-01T12:00:00.000Z<\/xmp:CreateDate>/
+  );
+  assert.match(xmp, /<docexport:DocVersion>2\.x<\/docexport:DocVersion>/);
+});
+
+test("missing values are left out", async () => {
+  const pdfDoc = await PDFDocument.create();
+  new MetadataWriter(pdfDoc).write({});
+
+  assert.equal(pdfDoc.getTitle(), undefined);
+  assert.equal(pdfDoc.getKeywords(), undefined);
+  assert.equal(pdfDoc.catalog.get(PDFName.of("Lang")), undefined);
+  const xmp = Buffer.from(
+    pdfDoc.catalog.lookup(PDFName.of("Metadata"), PDFRawStream).getContents()
+  ).toString("utf8");
+  assert.doesNotMatch(xmp, /dc:title|dc:creator|DocVersion/);
+  assert.match(xmp, /<rdf:li>x-default<\/rdf:li>/);
+});
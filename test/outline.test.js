@@ -0,0 +1,234 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFString,
+} from "pdf-lib";
+import { PdfMerger } from "../src/services/PdfMerger.js";
+import { resolveConfig } from "../src/config/loader.js";
+import { MARKER_PREFIX } from "../src/utils/markers.js";
+import { setLogLevel } from "../src/utils/logger.js";
+
+const PAGE_HEIGHT = 800;
+
+let dir;
+
+/**
+ * Write a fixture page PDF, with a heading marker at the given position of
+ * each heading, like PdfExporter prints them
+ * @param {string} name - File name
+ * @param {number} pageCount - Number of pages
+ * @param {Array<{page: number, top: number}>} headings - Marker position of each heading
+ * @returns {Promise<string>} Path of the PDF
+ */
+async function writeFixture(name, pageCount, headings = []) {
+  const pdfDoc = await PDFDocument.create();
+  const pages = [];
+  for (let i = 0; i < pageCount; i++) {
+    pages.push(pdfDoc.addPage([600, PAGE_HEIGHT]));
+  }
+  headings.forEach(({ page, top }, index) => {
+    const annot = pdfDoc.context.register(
+      pdfDoc.context.obj({
+        Type: "Annot",
+        Subtype: "Link",
+        Rect: [40, top - 20, 300, top],
+        A: {
+          S: "URI",
+          URI: PDFString.of(`${MARKER_PREFIX}heading/${index}`),
+        },
+      })
+    );
+    pages[page].node.addAnnot(annot);
+  });
+
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, await pdfDoc.save());
+  return file;
+}
+
+/**
+ * Read an outline item and its descendants back from the PDF
+ * @param {PDFDocument} pdfDoc - Merged PDF
+ * @param {import('pdf-lib').PDFRef} parentRef - Reference of the parent item
+ * @param {PDFDict} parent - Parent item
+ * @returns {Array<{title: string, page: number, top: number, count: number|undefined, children: Array}>} Items
+ */
+function readItems(pdfDoc, parentRef, parent) {
+  const pageRefs = pdfDoc.getPages().map((page) => page.ref);
+  const items = [];
+  let ref = parent.get(PDFName.of("First"));
+  let previousRef;
+
+  while (ref) {
+    const item = pdfDoc.context.lookup(ref, PDFDict);
+    assert.equal(item.get(PDFName.of("Parent")), parentRef);
+    assert.equal(item.get(PDFName.of("Prev")), previousRef);
+
+    const dest = item.lookup(PDFName.of("Dest"), PDFArray);
+    assert.equal(dest.get(1), PDFName.of("XYZ"));
+    const count = item.lookupMaybe(PDFName.of("Count"), PDFNumber);
+    items.push({
+      title: item.lookup(PDFName.of("Title")).decodeText(),
+      page: pageRefs.indexOf(dest.get(0)),
+      top: dest.lookup(3, PDFNumber).asNumber(),
+      count: count?.asNumber(),
+      children: readItems(pdfDoc, ref, item),
+    });
+
+    previousRef = ref;
+    ref = item.get(PDFName.of("Next"));
+  }
+
+  if (items.length > 0) {
+    assert.equal(parent.get(PDFName.of("Last")), previousRef);
+  }
+  return items;
+}
+
+/**
+ * Keep the titles and nesting of outline items
+ * @param {Array} items - Items read by readItems()
+ * @returns {Array} [title, children] pairs, or titles for leaf items
+ */
+function titles(items) {
+  return items.map((item) =>
+    item.children.length > 0 ? [item.title, titles(item.children)] : item.title
+  );
+}
+
+before(() => {
+  setLogLevel("error");
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "docexport-outline-"));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("merged PDF outline nests categories, pages and headings", async () => {
+  const metadata = [
+    {
+      url: "https://docs.example.com/docs/intro",
+      title: "Introduction",
+      categories: [],
+      path: await writeFixture("intro.pdf", 2, [
+        { page: 0, top: 600 },
+        { page: 1, top: 700 },
+        { page: 1, top: 300 },
+      ]),
+      headings: [
+        { level: 2, text: "Install", id: "install" },
+        { level: 3, text: "Linux", id: "linux" },
+        { level: 2, text: "Usage", id: "usage" },
+      ],
+    },
+    {
+      url: "https://docs.example.com/docs/guides/setup",
+      title: "Setup",
+      categories: ["Guides"],
+      path: await writeFixture("setup.pdf", 1),
+      headings: [],
+    },
+    {
+      url: "https://docs.example.com/docs/guides/advanced/plugins",
+      title: "Plugins",
+      categories: ["Guides", "Advanced"],
+      path: await writeFixture("plugins.pdf", 1, [{ page: 0, top: 500 }]),
+      headings: [{ level: 2, text: "Writing a plugin", id: "writing" }],
+    },
+  ];
+  const outputPath = path.join(dir, "out", "merged.pdf");
+
+  await new PdfMerger(resolveConfig({})).merge(metadata, outputPath);
+
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(outputPath));
+  assert.equal(pdfDoc.getPageCount(), 4);
+  assert.equal(
+    pdfDoc.catalog.get(PDFName.of("PageMode")),
+    PDFName.of("UseOutlines")
+  );
+
+  const outlinesRef = pdfDoc.catalog.get(PDFName.of("Outlines"));
+  const outlines = pdfDoc.context.lookup(outlinesRef, PDFDict);
+  assert.equal(outlines.get(PDFName.of("Type")), PDFName.of("Outlines"));
+  const items = readItems(pdfDoc, outlinesRef, outlines);
+
+  assert.deepEqual(titles(items), [
+    ["Introduction", [["Install", ["Linux"]], "Usage"]],
+    ["Guides", ["Setup", ["Advanced", [["Plugins", ["Writing a plugin"]]]]]],
+  ]);
+
+  // Top-level categories are open, nested ones and pages are closed
+  const [intro, guides] = items;
+  const [setup, advanced] = guides.children;
+  const [plugins] = advanced.children;
+  assert.equal(
+    outlines.lookup(PDFName.of("Count"), PDFNumber).asNumber(),
+    4 // Introduction, Guides, Setup and Advanced
+  );
+  assert.equal(intro.count, -2);
+  assert.equal(intro.children[0].count, -1);
+  assert.equal(guides.count, 2);
+  assert.equal(advanced.count, -1);
+  assert.equal(plugins.count, -1);
+  assert.equal(setup.count, undefined);
+
+  // Pages point to their first page, headings to their marker position
+  const [install, usage] = intro.children;
+  const [linux] = install.children;
+  assert.deepEqual([intro.page, intro.top], [0, PAGE_HEIGHT]);
+  assert.deepEqual([install.page, install.top], [0, 600]);
+  assert.deepEqual([linux.page, linux.top], [1, 700]);
+  assert.deepEqual([usage.page, usage.top], [1, 300]);
+  assert.equal(guides.page, 2);
+  assert.equal(setup.page, 2);
+  assert.equal(advanced.page, 3);
+  assert.equal(plugins.page, 3);
+  assert.deepEqual(
+    [plugins.children[0].page, plugins.children[0].top],
+    [3, 500]
+  );
+
+  // Heading markers are removed from the merged pages
+  assert.equal(pdfDoc.getPages()[1].node.Annots()?.size() ?? 0, 0);
+});
+
+test("headings deeper than outline.maxHeadingLevel are left out", async () => {
+  const metadata = [
+    {
+      url: "https://docs.example.com/docs/intro",
+      title: "Introduction",
+      categories: [],
+      path: await writeFixture("shallow.pdf", 1, [
+        { page: 0, top: 600 },
+        { page: 0, top: 400 },
+      ]),
+      headings: [
+        { level: 2, text: "Install", id: "install" },
+        { level: 3, text: "Linux", id: "linux" },
+      ],
+    },
+  ];
+  const outputPath = path.join(dir, "shallow-merged.pdf");
+
+  await new PdfMerger(
+    resolveConfig({ outline: { maxHeadingLevel: 2 } })
+  ).merge(metadata, outputPath);
+
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(outputPath));
+  const outlinesRef = pdfDoc.catalog.get(PDFName.of("Outlines"));
+  const items = readItems(
+    pdfDoc,
+    outlinesRef,
+    pdfDoc.context.lookup(outlinesRef, PDFDict)
+  );
+  assert.deepEqual(titles(items), [["Introduction", ["Install"]]]);
+});
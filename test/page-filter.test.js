@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMatcher } from "../src/utils/pattern.js";
+import { PageFilter } from "../src/services/PageFilter.js";
+import { ConfigError } from "../src/utils/errors.js";
+
+const SITE = "https://docs.example.com";
+
+/**
+ * Build a link entry like the discovery strategies return
+ * @param {string} pathname - Page path
+ * @param {string[]} categories - Sidebar categories
+ * @returns {{url: string, title: string, categories: string[]}} Link entry
+ */
+function link(pathname, categories = []) {
+  return { url: `${SITE}${pathname}`, title: pathname, categories };
+}
+
+test("globs match within segments, across them with **", () => {
+  const oneLevel = createMatcher("/docs/*/intro");
+  assert.equal(oneLevel("/docs/guides/intro"), true);
+  assert.equal(oneLevel("/docs/guides/advanced/intro"), false);
+
+  const anyLevel = createMatcher("/docs/**/intro");
+  assert.equal(anyLevel("/docs/intro"), true);
+  assert.equal(anyLevel("/docs/guides/advanced/intro"), true);
+
+  const tree = createMatcher("/docs/api/**");
+  assert.equal(tree("/docs/api"), true);
+  assert.equal(tree("/docs/api/client/get"), true);
+  assert.equal(tree("/docs/apis"), false);
+
+  const single = createMatcher("/docs/v?/*.html");
+  assert.equal(single("/docs/v2/page.html"), true);
+  assert.equal(single("/docs/v10/page.html"), false);
+  assert.equal(single("/docs/v2/pageXhtml"), false);
+});
+
+test("regular expressions are given with re: or as RegExp", () => {
+  const prefixed = createMatcher("re:^/docs/v\\d+/", { ignoreCase: true });
+  assert.equal(prefixed("/DOCS/v12/intro"), true);
+  assert.equal(prefixed("/docs/next/intro"), false);
+
+  // A global regex keeps no state between calls
+  const global = createMatcher(/intro/g);
+  assert.equal(global("/docs/intro"), true);
+  assert.equal(global("/docs/intro"), true);
+});
+
+test("an invalid re: pattern is a ConfigError naming the pattern", () => {
+  assert.throws(
+    () => createMatcher("re:/docs/(unclosed"),
+    (err) =>
+      err instanceof ConfigError && err.message.includes('"re:/docs/(unclosed"')
+  );
+  assert.throws(
+    () => new PageFilter({ exclude: { paths: ["re:["] } }),
+    ConfigError
+  );
+});
+
+test("pages must match an include rule and no exclude rule", () => {
+  const filter = new PageFilter({
+    include: { paths: ["/docs/guides/"], categories: ["api*"] },
+    exclude: { paths: ["**/internal-*"], categories: ["Deprecated"] },
+  });
+  const links = [
+    link("/docs/intro"),
+    link("/docs/guides/setup"),
+    link("/docs/guides/internal-notes"),
+    link("/docs/client", ["API Reference"]),
+    link("/docs/old-client", ["API Reference", "deprecated"]),
+  ];
+
+  assert.deepEqual(
+    filter.filterLinks(links).map((entry) => entry.title),
+    ["/docs/guides/setup", "/docs/client"]
+  );
+});
+
+test("tag rules are only decided once the tags are read", () => {
+  const filter = new PageFilter({ exclude: { tags: ["draft"] } });
+  assert.equal(filter.hasTagRules, true);
+  assert.equal(filter.isSelected(link("/docs/intro")), true);
+  assert.equal(filter.isSelected(link("/docs/intro"), ["Draft"]), false);
+  assert.equal(filter.isSelected(link("/docs/intro"), ["stable"]), true);
+
+  const include = new PageFilter({ include: { tags: ["public"] } });
+  assert.equal(include.isSelected(link("/docs/intro")), true);
+  assert.equal(include.isSelected(link("/docs/intro"), []), false);
+});
@@ -0,0 +1,142 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFString,
+} from "pdf-lib";
+import { PageFolderWriter } from "../src/services/PageFolderWriter.js";
+import { resolveConfig } from "../src/config/loader.js";
+import { MARKER_PREFIX } from "../src/utils/markers.js";
+import { setLogLevel } from "../src/utils/logger.js";
+
+let dir;
+
+/**
+ * Write a fixture page PDF with marker annotations, like PdfExporter prints them
+ * @param {string} name - File name
+ * @param {number} pageCount - Number of pages
+ * @param {Array<{marker: string, page: number, top: number}>} markers - Marker path ("link/0", "heading/0") and position
+ * @returns {Promise<string>} Path of the PDF
+ */
+async function writeFixture(name, pageCount, markers) {
+  const pdfDoc = await PDFDocument.create();
+  const pages = [];
+  for (let i = 0; i < pageCount; i++) {
+    pages.push(pdfDoc.addPage([600, 800]));
+  }
+  for (const { marker, page, top } of markers) {
+    const annot = pdfDoc.context.register(
+      pdfDoc.context.obj({
+        Type: "Annot",
+        Subtype: "Link",
+        Rect: [40, top - 20, 300, top],
+        A: { S: "URI", URI: PDFString.of(`${MARKER_PREFIX}${marker}`) },
+      })
+    );
+    pages[page].node.addAnnot(annot);
+  }
+
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, await pdfDoc.save());
+  return file;
+}
+
+/**
+ * Read the link annotations of a page of a written page PDF
+ * @param {string} file - Page PDF
+ * @param {number} pageIndex - Index of the page
+ * @returns {Promise<PDFDict[]>} Annotation dictionaries
+ */
+async function readAnnotations(file, pageIndex = 0) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(file));
+  const annots = pdfDoc.getPage(pageIndex).node.Annots();
+  return annots
+    ? annots.asArray().map((ref) => pdfDoc.context.lookup(ref, PDFDict))
+    : [];
+}
+
+before(() => {
+  setLogLevel("error");
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "docexport-pages-"));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("links between page PDFs open the other file at the heading", async () => {
+  const pages = [
+    {
+      url: "https://docs.example.com/docs/intro",
+      title: "Introduction",
+      categories: [],
+      headings: [],
+      links: [
+        { target: "https://docs.example.com/docs/setup#usage" },
+        { target: "https://docs.example.com/docs/setup" },
+        { target: "https://docs.example.com/docs/not-exported" },
+      ],
+      path: await writeFixture("intro-src.pdf", 1, [
+        { marker: "link/0", page: 0, top: 700 },
+        { marker: "link/1", page: 0, top: 600 },
+        { marker: "link/2", page: 0, top: 500 },
+      ]),
+    },
+    {
+      url: "https://docs.example.com/docs/setup",
+      title: "Setup",
+      categories: [],
+      headings: [{ level: 2, text: "Usage", id: "usage" }],
+      links: [],
+      path: await writeFixture("setup-src.pdf", 2, [
+        { marker: "heading/0", page: 1, top: 450 },
+      ]),
+    },
+  ];
+  const outputDir = path.join(dir, "manual");
+
+  await new PageFolderWriter(resolveConfig({})).write(pages, outputDir, {
+    title: "Docs",
+    version: null,
+    metadata: {},
+  });
+
+  // The link to the page that was not exported is dropped
+  const annots = await readAnnotations(
+    path.join(outputDir, "001-introduction.pdf")
+  );
+  assert.equal(annots.length, 2);
+
+  const [toHeading, toPage] = annots.map((annot) =>
+    annot.lookup(PDFName.of("A"), PDFDict)
+  );
+  for (const action of [toHeading, toPage]) {
+    assert.equal(action.get(PDFName.of("S")), PDFName.of("GoToR"));
+    assert.equal(action.lookup(PDFName.of("F")).decodeText(), "002-setup.pdf");
+    assert.equal(action.get(PDFName.of("URI")), undefined);
+  }
+
+  const destination = (action) => {
+    const dest = action.lookup(PDFName.of("D"), PDFArray);
+    assert.equal(dest.get(1), PDFName.of("XYZ"));
+    return [
+      dest.lookup(0, PDFNumber).asNumber(),
+      dest.lookup(3, PDFNumber).asNumber(),
+    ];
+  };
+  // Second page of the target file, at the heading marker
+  assert.deepEqual(destination(toHeading), [1, 450]);
+  // Top of the first page
+  assert.deepEqual(destination(toPage), [0, 800]);
+
+  // Heading markers are removed from the target file
+  assert.equal(
+    (await readAnnotations(path.join(outputDir, "002-setup.pdf"), 1)).length,
+    0
+  );
+});
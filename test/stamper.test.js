@@ -0,0 +1,38 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument } from "pdf-lib";
+import { PageStamper } from "../src/services/PageStamper.js";
+import { resolveConfig } from "../src/config/loader.js";
+import { setLogger, setLogLevel } from "../src/utils/logger.js";
+
+after(() => setLogger(null));
+
+test("characters the standard font cannot draw are reported once", async () => {
+  const warnings = [];
+  setLogLevel("warn");
+  setLogger({
+    info: () => {},
+    warn: (fields, message) => warnings.push(message),
+  });
+
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage();
+  pdfDoc.addPage();
+  const config = resolveConfig({
+    headerFooter: {
+      enabled: true,
+      header: { left: "{{title}}", center: "", right: "Café" },
+    },
+  });
+  const stamper = new PageStamper(pdfDoc, config);
+
+  await stamper.stamp([{ section: "", pageTitle: "" }, null], {
+    title: "文档 guide",
+    version: null,
+  });
+
+  assert.equal(stamper.fill("{{title}}", { title: "文档 guide" }), "?? guide");
+  assert.deepEqual(warnings, [
+    'Headers and footers use characters the standard PDF font cannot draw, printed as "?": 文 档',
+  ]);
+});
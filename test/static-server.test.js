@@ -0,0 +1,193 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { StaticServer } from "../src/services/StaticServer.js";
+import { resolveConfig } from "../src/config/loader.js";
+import { setLogLevel } from "../src/utils/logger.js";
+
+let dir;
+let buildDir;
+
+/**
+ * Write a file of the fixture build, creating its directories
+ * @param {string} name - Path relative to the build directory
+ * @param {string} content - File content
+ */
+function writeFile(name, content) {
+  const file = path.join(buildDir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+/**
+ * Start a server for the fixture build
+ * @param {object} [server] - server options of the configuration
+ * @returns {Promise<{server: StaticServer, url: string}>} Started server and site URL
+ */
+async function startServer(server = {}) {
+  const staticServer = new StaticServer(buildDir, resolveConfig({ server }));
+  const url = await staticServer.start();
+  return { server: staticServer, url };
+}
+
+/**
+ * Request a path as is, without normalizing it
+ * @param {string} origin - Server origin
+ * @param {string} requestPath - Raw request path
+ * @returns {Promise<{status: number, location: string|undefined, body: string}>} Response
+ */
+function request(origin, requestPath) {
+  const { hostname, port } = new URL(origin);
+  return new Promise((resolve, reject) => {
+    http
+      .get({ hostname, port, path: requestPath }, (res) => {
+        let body = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            location: res.headers.location,
+            body,
+          })
+        );
+      })
+      .on("error", reject);
+  });
+}
+
+before(() => {
+  setLogLevel("error");
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "docexport-server-"));
+  buildDir = path.join(dir, "build");
+  writeFile(
+    "index.html",
+    '<link href="/site/assets/css/styles.css" rel="stylesheet">Home'
+  );
+  writeFile("assets/css/styles.css", "body {}");
+  writeFile("docs/intro/index.html", "Introduction");
+  writeFile("docs/setup.html", "Setup");
+  writeFile("404.html", "Not found");
+  fs.writeFileSync(path.join(dir, "secret.txt"), "secret");
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("files are served under the baseUrl detected from index.html", async () => {
+  const { server, url } = await startServer();
+  try {
+    assert.equal(server.baseUrl, "/site/");
+    assert.equal(url, `${server.origin}/site/`);
+
+    assert.equal(
+      (await request(server.origin, "/site/")).body.endsWith("Home"),
+      true
+    );
+    assert.deepEqual(
+      await request(server.origin, "/site/assets/css/styles.css"),
+      { status: 200, location: undefined, body: "body {}" }
+    );
+    assert.equal(
+      (await request(server.origin, "/site/docs/intro")).body,
+      "Introduction"
+    );
+    assert.equal(
+      (await request(server.origin, "/site/docs/intro/")).body,
+      "Introduction"
+    );
+    assert.equal(
+      (await request(server.origin, "/site/docs/setup")).body,
+      "Setup"
+    );
+
+    // Outside the baseUrl, or missing in the build
+    assert.equal((await request(server.origin, "/docs/setup")).status, 404);
+    assert.deepEqual(await request(server.origin, "/site/docs/missing"), {
+      status: 404,
+      location: undefined,
+      body: "Not found",
+    });
+    assert.equal((await request(server.origin, "/site")).location, "/site/");
+  } finally {
+    await server.stop();
+  }
+});
+
+test("server.baseUrl overrides the detected one", async () => {
+  const { server } = await startServer({ baseUrl: "docs-root" });
+  try {
+    assert.equal(server.baseUrl, "/docs-root/");
+    assert.equal(
+      (await request(server.origin, "/docs-root/docs/setup")).body,
+      "Setup"
+    );
+    assert.equal(
+      (await request(server.origin, "/site/docs/setup")).status,
+      404
+    );
+  } finally {
+    await server.stop();
+  }
+});
+
+test("trailingSlash redirects like the Docusaurus option", async () => {
+  const withSlash = await startServer({ trailingSlash: true });
+  try {
+    const response = await request(withSlash.server.origin, "/site/docs/intro");
+    assert.deepEqual(
+      [response.status, response.location],
+      [301, "/site/docs/intro/"]
+    );
+  } finally {
+    await withSlash.server.stop();
+  }
+
+  const withoutSlash = await startServer({ trailingSlash: false });
+  try {
+    const response = await request(
+      withoutSlash.server.origin,
+      "/site/docs/setup/"
+    );
+    assert.deepEqual(
+      [response.status, response.location],
+      [301, "/site/docs/setup"]
+    );
+  } finally {
+    await withoutSlash.server.stop();
+  }
+});
+
+test("paths outside the build directory are rejected", async () => {
+  const { server } = await startServer();
+  try {
+    assert.deepEqual(server.resolve("../secret.txt"), { status: 403 });
+    const response = await request(server.origin, "/site/..%2fsecret.txt");
+    assert.equal(response.status, 403);
+    assert.doesNotMatch(response.body, /secret/);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("a file that cannot be read is answered with a 500", async () => {
+  const { server } = await startServer();
+  // Removed between resolve() and the read
+  server.resolve = () => ({
+    file: path.join(buildDir, "gone.html"),
+    status: 200,
+  });
+  try {
+    assert.equal((await request(server.origin, "/site/gone")).status, 500);
+    // The server is still up
+    server.resolve = StaticServer.prototype.resolve;
+    assert.equal(
+      (await request(server.origin, "/site/docs/setup")).body,
+      "Setup"
+    );
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,55 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { UrlListDiscovery } from "../src/services/UrlListDiscovery.js";
+import { resolveConfig } from "../src/config/loader.js";
+import { LinkCollectionError } from "../src/utils/errors.js";
+import { setLogLevel } from "../src/utils/logger.js";
+
+let dir;
+
+/**
+ * Discover the pages of a URL list
+ * @param {string} content - Content of the URL file
+ * @returns {Promise<Array>} Discovered pages
+ */
+function discover(content) {
+  const urlFile = path.join(dir, "urls.txt");
+  fs.writeFileSync(urlFile, content);
+  const config = resolveConfig({
+    discovery: { strategy: "url-list", urlFile },
+  });
+  return new UrlListDiscovery(null, config).discover(
+    "https://docs.example.com/docs/intro"
+  );
+}
+
+before(() => {
+  setLogLevel("error");
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "docexport-urls-"));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("URL lists resolve relative URLs and skip comments", async () => {
+  const pages = await discover(
+    "# Getting started\n/docs/intro\n\nhttps://docs.example.com/docs/api\n"
+  );
+  assert.deepEqual(
+    pages.map((page) => page.url),
+    ["https://docs.example.com/docs/intro", "https://docs.example.com/docs/api"]
+  );
+});
+
+test("a malformed URL is reported with its line number", async () => {
+  await assert.rejects(
+    discover("/docs/intro\n# API\nhttp://[broken\n"),
+    (err) =>
+      err instanceof LinkCollectionError &&
+      /Invalid URL on line 3 of .*urls\.txt: http:\/\/\[broken/.test(
+        err.message
+      )
+  );
+});
@@ -0,0 +1,88 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { DocusaurusPdfExporter } from "../src/services/Exporter.js";
+import { resolveConfig } from "../src/config/loader.js";
+import { setLogLevel } from "../src/utils/logger.js";
+
+const SITE = "https://docs.example.com";
+
+let dir;
+
+/**
+ * Stand in for a browser page showing version and locale dropdowns
+ * @param {Array<{label: string, url: string, active: boolean}>} versions - Version dropdown entries
+ * @param {Array<{name: string, label: string, url: string}>} locales - Locale dropdown entries
+ * @returns {object} Page with the methods VariantDetector uses
+ */
+function dropdownPage(versions, locales) {
+  return {
+    goto: async () => {},
+    evaluate: async () => ({ locale: "en", version: "", locales, versions }),
+  };
+}
+
+/**
+ * Build an exporter whose variants are "exported" without a browser
+ * @param {object} variants - variants options
+ * @param {object} page - Page stub
+ * @returns {DocusaurusPdfExporter} Exporter
+ */
+function createExporter(variants, page) {
+  const exporter = new DocusaurusPdfExporter(
+    resolveConfig({ variants: { indexFile: "index.json", ...variants } })
+  );
+  exporter.page = page;
+  exporter.exportSite = async (url, outputPath) => outputPath;
+  return exporter;
+}
+
+before(() => {
+  setLogLevel("error");
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "docexport-variants-"));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("variants whose file names collide get distinct paths", async () => {
+  const exporter = createExporter(
+    // Without {{locale}}, every locale of a version would share its file
+    {
+      versions: "all",
+      locales: "all",
+      fileName: "{{name}}-{{version}}{{ext}}",
+    },
+    dropdownPage(
+      [
+        { label: "2.x", url: `${SITE}/`, active: true },
+        { label: "1.x", url: `${SITE}/1.x/`, active: false },
+      ],
+      [
+        { name: "en", label: "English", url: `${SITE}/` },
+        { name: "zh-Hans", label: "简体中文", url: `${SITE}/zh-Hans/` },
+      ]
+    )
+  );
+  const outputPath = path.join(dir, "docs.pdf");
+
+  const results = await exporter.exportVariants(`${SITE}/`, outputPath, null);
+
+  assert.deepEqual(
+    results.map((result) => path.basename(result.path)),
+    ["docs-2.x.pdf", "docs-1.x.pdf", "docs-2.x-2.pdf", "docs-1.x-2.pdf"]
+  );
+  const index = JSON.parse(
+    fs.readFileSync(path.join(dir, "index.json"), "utf8")
+  );
+  assert.deepEqual(
+    index.exports.map((entry) => [entry.version, entry.locale, entry.file]),
+    [
+      ["2.x", "en", "docs-2.x.pdf"],
+      ["1.x", "en", "docs-1.x.pdf"],
+      ["2.x", "zh-hans", "docs-2.x-2.pdf"],
+      ["1.x", "zh-hans", "docs-1.x-2.pdf"],
+    ]
+  );
+});